@@ -1,554 +1,720 @@
 #!/usr/bin/env node
 
 import chalk from 'chalk'
-import { execSync } from 'child_process'
-import { program } from 'commander'
+import { Option, program } from 'commander'
 import * as fs from 'fs'
 import inquirer from 'inquirer'
 import ora from 'ora'
+import * as os from 'os'
 import * as path from 'path'
-import { fileURLToPath } from 'url'
+import { ENV_VARS, loadConfig } from '../src/config.js'
+import { EXIT_CODES, UsageError } from '../src/errors.js'
+import { readProjectContext } from '../src/features.js'
+import { detectLanguage, localize, setLanguage, SUPPORTED_LANGUAGES, t } from '../src/i18n.js'
+import { addFeature, createProject, renderTemplates } from '../src/index.js'
+import {
+  describeTemplateLayers,
+  findModifiedFiles,
+  getToolVersion,
+  LOCKFILE_NAME,
+  projectLanguage,
+  readLockfile,
+  updateLockfile,
+} from '../src/lockfile.js'
+import { projectNameProblem } from '../src/naming.js'
+import {
+  BASE_FEATURES,
+  createTemplateStore,
+  DEFAULT_ARCHETYPE,
+  EMAIL_RE,
+  formatCommand,
+  listValue,
+  loadTakenNames,
+  parseDependencyList,
+} from '../src/options.js'
+import { DEFAULT_PYTHON_VERSION, SUPPORTED_PYTHON_VERSIONS } from '../src/python-version.js'
+import { createReporter, REPORTERS } from '../src/reporter.js'
+import { runCommand } from '../src/runner.js'
+import { TemplateStore } from '../src/templates.js'
+import { applyUpgrade, fetchTemplateVersion, planUpgrade } from '../src/upgrade.js'
+import { formatVerifyTable } from '../src/verify.js'
+
+// El idioma se decide antes de definir los comandos: sus descripciones y todos los mensajes ya salen traducidos
+try {
+  setLanguage(detectLanguage({ argv: process.argv.slice(2) }))
+} catch (error) {
+  console.error(chalk.red(error.message))
+  process.exit(error.exitCode || EXIT_CODES.INVALID_INPUT)
+}
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-const TEMPLATES_DIR = path.resolve(__dirname, '../templates')
+function collectValues(value, previous) {
+  return [...previous, value]
+}
+// Opciones que pueden venir de los archivos de configuración. La precedencia es: línea de comandos > variables de
+// entorno > configuración (--config sobre la global) > preguntas, así que solo se aplican las que no se han indicado
+// de otra forma. El pack de templates y las dependencias adicionales se resuelven aparte.
+const CONFIG_OPTIONS = {
+  author: 'author',
+  email: 'email',
+  license: 'license',
+  python: 'python',
+  type: 'type',
+  features: 'features',
+  devDependencies: 'devDeps',
+  precommit: 'precommit',
+  claude: 'claude',
+}
 
-function ensureDirSync(dir) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true })
+function applyConfigDefaults(command, config) {
+  for (const [key, option] of Object.entries(CONFIG_OPTIONS)) {
+    const source = command.getOptionValueSource(option)
+    if (key in config.values && source !== 'cli' && source !== 'env') {
+      command.setOptionValueWithSource(option, config.values[key], 'config')
+    }
   }
 }
 
-function renderTemplate(content, vars = {}) {
-  let out = content
-  for (const [key, value] of Object.entries(vars)) {
-    const re = new RegExp(`__${key}__`, 'g')
-    out = out.replace(re, String(value))
+// Licencias que ofrece el asistente; --license admite cualquier expresión SPDX
+const LICENSE_CHOICES = ['MIT', 'Apache-2.0', 'BSD-3-Clause', 'LicenseRef-Proprietary']
+
+function gitConfig(key) {
+  try {
+    return runCommand('git', ['config', key]).trim() || undefined
+  } catch (error) {
+    return undefined
   }
-  return out
 }
 
-function readTemplate(relPath) {
-  const fullPath = path.join(TEMPLATES_DIR, relPath)
-  if (!fs.existsSync(fullPath)) {
-    throw new Error(`Template not found: ${relPath} (expected at ${fullPath})`)
+// Asistente interactivo: pregunta solo lo que no se ha resuelto con opciones, variables de entorno o configuración
+async function askMissingOptions(projectName, options, templates) {
+  const unresolved = option => options[option] === undefined
+  const optional = input => input.trim() || undefined
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'projectName',
+      message: t('prompts.projectName'),
+      default: t('prompts.projectNameDefault'),
+      filter: input => input.trim(),
+      validate: input => input === '.' || projectNameProblem(input, { takenNames: options.takenNames }) || true,
+      when: () => !projectName,
+    },
+    {
+      type: 'input',
+      name: 'description',
+      message: t('prompts.description'),
+      filter: optional,
+      validate: input => !input || !/[\n\r]/.test(input) || t('errors.invalidDescription'),
+      when: () => unresolved('description'),
+    },
+    {
+      type: 'input',
+      name: 'author',
+      message: t('prompts.author'),
+      default: gitConfig('user.name'),
+      filter: optional,
+      when: () => unresolved('author'),
+    },
+    {
+      type: 'input',
+      name: 'email',
+      message: t('prompts.email'),
+      default: gitConfig('user.email'),
+      filter: optional,
+      validate: input => !input || EMAIL_RE.test(input) || t('errors.invalidEmail', { email: input }),
+      when: () => unresolved('email'),
+    },
+    {
+      type: 'list',
+      name: 'license',
+      message: t('prompts.license'),
+      default: 'MIT',
+      choices: LICENSE_CHOICES.map(license => ({ name: t(`prompts.licenses.${license}`), value: license })),
+      when: () => unresolved('license'),
+    },
+    {
+      type: 'list',
+      name: 'type',
+      message: t('prompts.type'),
+      default: DEFAULT_ARCHETYPE,
+      choices: templates.listArchetypes().map(name => ({
+        name: `${name} - ${localize(templates.readArchetype(name).description) || name}`,
+        value: name,
+      })),
+      when: () => unresolved('type'),
+    },
+    {
+      type: 'list',
+      name: 'python',
+      message: t('prompts.python'),
+      default: DEFAULT_PYTHON_VERSION,
+      choices: SUPPORTED_PYTHON_VERSIONS,
+      when: () => unresolved('python'),
+    },
+    {
+      type: 'checkbox',
+      name: 'features',
+      message: t('prompts.features'),
+      // Las features que ya incluye el tipo de proyecto elegido (p. ej. cli en el tipo cli) no se ofrecen
+      choices: answers =>
+        templates
+          .listFeatures()
+          .filter(name => name !== (answers.type || options.type))
+          .map(name => ({
+            name: `${name} - ${localize(templates.readFeature(name).description) || name}`,
+            value: name,
+            checked: name in BASE_FEATURES ? options[BASE_FEATURES[name]] : false,
+          })),
+      when: () => unresolved('features'),
+    },
+    {
+      type: 'input',
+      name: 'extraDependencies',
+      message: t('prompts.dependencies'),
+      default: listValue(options.extraDependencies).join(', ') || undefined,
+      filter: parseDependencyList,
+      when: () => unresolved('deps'),
+    },
+    {
+      type: 'input',
+      name: 'devDeps',
+      message: t('prompts.devDependencies'),
+      filter: parseDependencyList,
+      when: () => unresolved('devDeps'),
+    },
+  ])
+
+  for (const option of [
+    'description',
+    'author',
+    'email',
+    'license',
+    'type',
+    'python',
+    'extraDependencies',
+    'devDeps',
+  ]) {
+    if (answers[option] !== undefined) options[option] = answers[option]
   }
-  return fs.readFileSync(fullPath, 'utf8')
+  if (answers.features) {
+    for (const [name, option] of Object.entries(BASE_FEATURES)) {
+      options[option] = answers.features.includes(name)
+    }
+    options.features = answers.features
+  }
+  return projectName || answers.projectName
 }
 
-function copyTemplate(relTemplatePath, destPath, vars = {}) {
-  const content = readTemplate(relTemplatePath)
-  const rendered = renderTemplate(content, vars)
-  ensureDirSync(path.dirname(destPath))
-  fs.writeFileSync(destPath, rendered)
+// Resumen de lo que se va a generar antes de ejecutar nada
+async function confirmSummary(options) {
+  const none = t('dryRun.none')
+  const author = [options.author, options.email && `<${options.email}>`].filter(Boolean).join(' ')
+  const features = [
+    ...options.features,
+    ...Object.entries(BASE_FEATURES)
+      .filter(([, option]) => options[option])
+      .map(([name]) => name),
+  ]
+  const rows = [
+    [t('wizard.project'), `${options.projectName} (${options.projectPath})`],
+    [t('wizard.description'), options.description || none],
+    [t('wizard.author'), author || t('wizard.gitAuthor')],
+    [t('wizard.license'), options.license || none],
+    [t('wizard.type'), options.type],
+    ['Python', options.python],
+    [t('wizard.features'), features.join(', ') || none],
+    [t('wizard.dependencies'), options.dependencies.join(', ') || none],
+    [t('wizard.devDependencies'), options.devDependencies.join(', ') || none],
+  ]
+  const width = Math.max(...rows.map(([label]) => label.length)) + 2
+  console.log()
+  console.log(chalk.cyan(t('wizard.summary')))
+  for (const [label, value] of rows) {
+    console.log(chalk.white(`  ${`${label}:`.padEnd(width)}${value}`))
+  }
+  console.log()
+  const { confirmed } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirmed', message: t('wizard.confirm'), default: true },
+  ])
+  return confirmed
 }
 
 program
   .name('create-python-modern')
-  .description('Crea proyectos Python con mejores prácticas')
-  .version('1.0.9')
-  .argument('[project-name]', 'Name of the project to create')
-  .action(async projectName => {
-    console.log(chalk.blue.bold('🚀 Crear Proyecto Python Moderno'))
-    console.log()
-
-    // Si no se proporciona nombre, preguntar
-    if (!projectName) {
-      const answers = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'projectName',
-          message: '¿Cuál es el nombre de tu proyecto?',
-          default: 'mi-proyecto-python',
-          validate: input => {
-            if (/^[a-z][a-z0-9-]*$/.test(input)) {
-              return true
-            }
-            return 'El nombre del proyecto debe comenzar con una letra y contener solo letras minúsculas, números y guiones'
-          },
-        },
-      ])
-      projectName = answers.projectName
+  .description(t('cli.description'))
+  .version(getToolVersion())
+  .enablePositionalOptions()
+  .argument('[project-name]', t('cli.projectName'))
+  .addOption(
+    new Option(
+      '-t, --type <archetype>',
+      t('cli.type', { available: new TemplateStore().listArchetypes().join(', '), default: DEFAULT_ARCHETYPE }),
+    ).env(ENV_VARS.type),
+  )
+  .addOption(
+    new Option(
+      '--python <version>',
+      t('cli.python', { available: SUPPORTED_PYTHON_VERSIONS.join(', '), default: DEFAULT_PYTHON_VERSION }),
+    ).env(ENV_VARS.python),
+  )
+  .addOption(new Option('--deps <packages>', t('cli.deps')).env(ENV_VARS.deps))
+  .addOption(new Option('--dev-deps <packages>', t('cli.devDeps')).env(ENV_VARS.devDeps))
+  .addOption(
+    new Option(
+      '--features <list>',
+      t('cli.features', { available: new TemplateStore().listFeatures().join(', ') }),
+    ).env(ENV_VARS.features),
+  )
+  .option('--description <text>', t('cli.projectDescription'))
+  .addOption(new Option('--author <name>', t('cli.author')).env(ENV_VARS.author))
+  .addOption(new Option('--email <email>', t('cli.email')).env(ENV_VARS.email))
+  .addOption(new Option('--license <spdx>', t('cli.license')).env(ENV_VARS.license))
+  .addOption(new Option('--no-precommit', t('cli.noPrecommit')).env(ENV_VARS.precommit))
+  .addOption(new Option('--no-claude', t('cli.noClaude')).env(ENV_VARS.claude))
+  .option('--no-install', t('cli.noInstall'))
+  .option('--verify', t('cli.verify'))
+  .option('--no-verify', t('cli.noVerify'))
+  .option('--offline', t('cli.offline'))
+  .option('--find-links <path|url>', t('cli.findLinks'), collectValues, [])
+  .option('--uv-path <path>', t('cli.uvPath'))
+  .option('--install-uv', t('cli.installUv'))
+  .option('--uv-version <version>', t('cli.uvVersion'))
+  .option('--uv-sha256 <hash>', t('cli.uvSha256'))
+  .option('--dir <path>', t('cli.dir'))
+  .option('--name <name>', t('cli.name'))
+  .addOption(new Option('--name-list <path>', t('cli.nameList')).env(ENV_VARS.nameList))
+  .option('--force', t('cli.force'))
+  .option('--keep-on-failure', t('cli.keepOnFailure'))
+  .option('--dry-run [format]', t('cli.dryRun'))
+  .addOption(new Option('--template <path|package>', t('cli.template')).env(ENV_VARS.template))
+  .addOption(new Option('--config <path>', t('cli.config')).env(ENV_VARS.config))
+  .option('--reporter <format>', t('cli.reporter', { available: REPORTERS.join(', ') }))
+  .option('--json', t('cli.json'))
+  .option('--lang <lang>', t('cli.lang', { available: SUPPORTED_LANGUAGES.join(', ') }))
+  .option('-y, --yes', t('cli.yes'))
+  .action(async (projectName, options, command) => {
+    let reporter
+    try {
+      reporter = createReporter(options.json ? 'json' : options.reporter)
+    } catch (error) {
+      console.error(chalk.red(error.message))
+      process.exit(error.exitCode || EXIT_CODES.ERROR)
+    }
+    // Las salidas estructuradas son para scripts: nunca preguntan y --dry-run también sale en JSON
+    if (reporter.format !== 'pretty') {
+      options.yes = true
+      if (options.dryRun === true) options.dryRun = 'json'
+    }
+    const exitWithError = error => {
+      const exitCode = error.exitCode || EXIT_CODES.ERROR
+      console.error(chalk.red(error.message))
+      // Los errores de la generación indican el proyecto que se estaba generando
+      // y, si ejecutó comandos, dónde quedó su registro
+      const projectPath = error.projectPath ? { projectPath: error.projectPath } : {}
+      const commandLog = error.commandLog ? { commandLog: error.commandLog } : {}
+      reporter.finish({ status: 'failed', exitCode, ...projectPath, ...commandLog, error: error.message })
+      process.exit(exitCode)
     }
 
-    await createPythonProject(projectName)
-  })
-
-async function createPythonProject(projectName) {
-  const spinner = ora('Creando proyecto Python...').start()
+    // Con una salida estructurada o --dry-run=json la salida estándar solo contiene el JSON
+    if (reporter.format === 'pretty' && options.dryRun !== 'json') {
+      console.log(chalk.blue.bold(t('create.banner')))
+      console.log()
+    }
 
-  try {
-    // Verificar si uv está instalado
-    spinner.text = 'Verificando instalación de uv...'
+    let templates
     try {
-      execSync('uv --version', { stdio: 'pipe' })
-      spinner.succeed('uv está instalado')
+      const config = loadConfig({ configPath: options.config })
+      applyConfigDefaults(command, config)
+      options.extraDependencies = config.values.dependencies
+      templates = createTemplateStore(options, config)
+      options.takenNames = loadTakenNames(options, config)
     } catch (error) {
-      spinner.text = 'Instalando uv...'
-
-      // Detectar SO y instalar uv
-      const platform = process.platform
-      if (platform === 'win32') {
-        execSync('powershell -c "irm https://astral.sh/uv/install.ps1 | iex"', { stdio: 'inherit', shell: true })
-      } else {
-        execSync('curl -LsSf https://astral.sh/uv/install.sh | sh', { stdio: 'inherit', shell: true })
-      }
-
-      // Verificar instalación después de instalar
-      try {
-        execSync('uv --version', { stdio: 'pipe' })
-        spinner.succeed('uv instalado correctamente')
-      } catch (installError) {
-        spinner.fail('Fallo en la verificación de uv después de la instalación')
-        throw new Error('Por favor, instala uv manualmente desde https://astral.sh/uv')
-      }
+      exitWithError(error)
     }
 
-    // Check if project directory already exists
-    if (fs.existsSync(projectName)) {
-      throw new Error(
-        `El directorio del proyecto "${projectName}" ya existe. Por favor elige un nombre diferente o elimina el directorio existente.`,
-      )
+    // Preguntar los valores que falten (salvo en modo no interactivo)
+    if (!options.yes) {
+      projectName = await askMissingOptions(projectName, options, templates)
     }
 
-    // Crear proyecto con uv
-    spinner.text = 'Creando estructura del proyecto...'
-    execSync(`uv init --package ${projectName}`, { stdio: 'pipe' })
-    process.chdir(projectName)
-
-    // VERIFICAR QUE LA ESTRUCTURA SE CREÓ CORRECTAMENTE
-    const snakeCaseName = projectName.replace(/-/g, '_')
-    const requiredDirs = ['src', `src/${snakeCaseName}`]
-    for (const dir of requiredDirs) {
-      if (!fs.existsSync(dir)) {
-        throw new Error(`El directorio requerido ${dir} no fue creado por uv init`)
+    const projectOptions = { ...options, projectName, templates }
+    try {
+      // --dry-run muestra el plan como texto y --dry-run=json como JSON (con "=": el valor es opcional y, separado
+      // por un espacio, se tomaría el siguiente argumento)
+      const dryRun = options.dryRun === true ? 'text' : options.dryRun || false
+      if (dryRun && !['text', 'json'].includes(dryRun)) {
+        throw new UsageError(t('errors.dryRunFormat', { format: dryRun }))
+      }
+      if (dryRun) {
+        printDryRun(renderTemplates(projectOptions), { format: dryRun, yes: options.yes })
+        process.exit(0)
       }
-    }
 
-    spinner.succeed('Estructura del proyecto creada')
-
-    // Agregar configuración moderna
-    spinner.text = 'Agregando configuración moderna...'
-    await addModernConfig(projectName)
-    spinner.succeed('Configuración moderna agregada')
-
-    // Crear archivos de código
-    spinner.text = 'Creando archivos de código...'
-    await createCodeFiles(projectName)
-    spinner.succeed('Archivos de código creados')
-
-    // Verificar que los archivos se crearon correctamente
-    const requiredFiles = [
-      `src/${snakeCaseName}/main.py`,
-      `src/${snakeCaseName}/py.typed`,
-      'tests/test_main.py',
-      '.claude.md',
-    ]
-
-    for (const file of requiredFiles) {
-      if (!fs.existsSync(file)) {
-        throw new Error(`El archivo requerido ${file} no fue creado`)
+      // Con Ctrl+C se deshace lo generado hasta el momento
+      const controller = new AbortController()
+      const onInterrupt = () => {
+        reporter.fail(t('create.interrupted'))
+        controller.abort()
+        reporter.finish({ status: 'interrupted', exitCode: 130 })
+        process.exit(130)
       }
+      process.once('SIGINT', onInterrupt)
+      // En el modo interactivo, nada se ejecuta hasta confirmar el resumen
+      const { structure, runCommand, ...result } = await createProject({
+        ...projectOptions,
+        logger: reporter,
+        signal: controller.signal,
+        ...(options.yes
+          ? {}
+          : {
+              confirm: confirmSummary,
+              confirmUvInstall: release => askUvInstall(release, reporter),
+              resolveConflicts: conflicts => askConflicts(conflicts, reporter),
+            }),
+      })
+      process.removeListener('SIGINT', onInterrupt)
+      if (result.status === 'cancelled') {
+        console.log(chalk.yellow(t('create.cancelled')))
+        process.exit(0)
+      }
+      reporter.finish(result)
+      printSummary(reporter, result, { structure, runCommand, claude: options.claude !== false })
+      process.exit(result.exitCode)
+    } catch (error) {
+      exitWithError(error)
     }
+  })
 
-    // Instalar dependencias
-    spinner.text = 'Instalando dependencias de runtime...'
-    execSync('uv add structlog pydantic', {
-      stdio: 'pipe',
-    })
-
-    // Las dependencias de desarrollo ya se definen en dependency-groups.dev en el pyproject.toml
-    // Solo necesitamos sincronizar para instalarlas
-    spinner.text = 'Sincronizando dependencias de desarrollo...'
-    execSync('uv sync', {
-      stdio: 'pipe',
-    })
-    spinner.succeed('Dependencias instaladas')
-
-    // Configurar pre-commit
-    spinner.text = 'Configurando hooks de pre-commit...'
+program
+  .command('add <feature>')
+  .description(t('cli.add.description', { features: new TemplateStore().listFeatures().join(', ') }))
+  .option('--dir <path>', t('cli.projectDir'))
+  .addOption(new Option('--template <path|package>', t('cli.template')).env(ENV_VARS.template))
+  .addOption(new Option('--config <path>', t('cli.config')).env(ENV_VARS.config))
+  .option('--force', t('cli.add.force'))
+  .option('--no-install', t('cli.add.noInstall'))
+  .option('--offline', t('cli.add.offline'))
+  .option('--uv-path <path>', t('cli.add.uvPath'))
+  .option('--find-links <path|url>', t('cli.add.findLinks'), collectValues, [])
+  .option('--lang <lang>', t('cli.lang', { available: SUPPORTED_LANGUAGES.join(', ') }))
+  .action(async (feature, options) => {
+    const reporter = createReporter('pretty')
+    reporter.start('add', t('add.start', { feature }))
     try {
-      execSync('uv run pre-commit install', { stdio: 'pipe' })
-      spinner.succeed('Hooks de pre-commit configurados')
+      const dir = path.resolve(options.dir || '.')
+      const templates = createTemplateStore(
+        options,
+        loadConfig({ configPath: options.config }),
+        projectLanguage(readLockfile(dir), options.lang),
+      )
+      const result = await addFeature(dir, feature, { ...options, templates, logger: reporter })
+      for (const command of result.pending) {
+        console.log(chalk.white(`  ${formatCommand(command)}`))
+      }
+      console.log()
+      console.log(chalk.green.bold(t('add.done', { feature })))
+      process.exit(0)
     } catch (error) {
-      spinner.warn('Configuración de hooks de pre-commit omitida')
+      reporter.fail(t('add.failed', { feature, error: error.message }))
+      process.exit(error.exitCode || EXIT_CODES.ERROR)
     }
+  })
 
-    // Mensaje final (versión mejorada)
-    console.log()
-    console.log(chalk.green.bold('✅ ¡Proyecto creado exitosamente!'))
-    console.log()
-    console.log(chalk.cyan('📁 Estructura del proyecto:'))
-    console.log(chalk.white(`${projectName}/`))
-    console.log(chalk.white(`├── .claude.md              # Rules for Claude Code`))
-    console.log(chalk.white(`├── .pre-commit-config.yaml # Quality hooks`))
-    console.log(chalk.white(`├── pyproject.toml          # Project configuration`))
-    console.log(chalk.white(`├── src/${snakeCaseName}/`))
-    console.log(chalk.white(`│   ├── __init__.py`))
-    console.log(chalk.white(`│   ├── main.py             # Main code`))
-    console.log(chalk.white(`│   └── py.typed            # Type marker`))
-    console.log(chalk.white(`└── tests/`))
-    console.log(chalk.white(`    ├── __init__.py`))
-    console.log(chalk.white(`    └── test_main.py        # Tests`))
-    console.log()
-    console.log(chalk.cyan('📋 Próximos pasos:'))
-    console.log(chalk.white(`1. cd ${projectName}`))
-    console.log(chalk.white('2. code . (open in VS Code with Claude)'))
-    console.log()
-    console.log(chalk.cyan('🔧 Comandos de desarrollo:'))
-    console.log(chalk.white(`uv run python -m ${snakeCaseName}.main    # Run application`))
-    console.log(chalk.white('uv run pytest --cov=src                    # Run tests with coverage'))
-    console.log(chalk.white('uv run ruff check . && uv run ruff format . # Lint & format'))
-    console.log(chalk.white('uv run mypy src/                            # Type checking'))
-    console.log()
-    console.log(chalk.cyan('📦 Gestión de paquetes:'))
-    console.log(chalk.white('uv add nombre-paquete                         # Agregar dependencia'))
-    console.log(chalk.white('uv add --dev nombre-paquete                   # Agregar dependencia de desarrollo'))
-    console.log(chalk.white('uv sync                                     # Sincronizar dependencias'))
-    console.log()
-    console.log(chalk.yellow('💡 El proyecto incluye .claude.md con estrictos estándares de codificación.'))
-    console.log(chalk.yellow('   Claude Code seguirá automáticamente estas reglas.'))
+program
+  .command('upgrade')
+  .description(t('cli.upgrade.description'))
+  .option('--dir <path>', t('cli.projectDir'))
+  .option('--from <version|path>', t('cli.upgrade.from'))
+  .addOption(new Option('--template <path|package>', t('cli.template')).env(ENV_VARS.template))
+  .addOption(new Option('--config <path>', t('cli.config')).env(ENV_VARS.config))
+  .option('--diff-only', t('cli.upgrade.diffOnly'))
+  .option('-y, --yes', t('cli.upgrade.yes'))
+  .option('--lang <lang>', t('cli.lang', { available: SUPPORTED_LANGUAGES.join(', ') }))
+  .action(async options => {
+    await upgradeProject(options)
+  })
 
-    process.exit(0)
-  } catch (error) {
-    spinner.fail(`Error al crear el proyecto: ${error.message}`)
-    console.error(chalk.red(error.message))
-    process.exit(1)
-  }
+const UPGRADE_STATUS = {
+  created: chalk.green(t('upgrade.status.created')),
+  updated: chalk.cyan(t('upgrade.status.updated')),
+  conflict: chalk.red(t('upgrade.status.conflict')),
+  removed: chalk.gray(t('upgrade.status.removed')),
 }
 
-async function addModernConfig(projectName) {
-  // Append modern config from template to uv-generated pyproject.toml
-  let existingConfig = ''
-  if (fs.existsSync('pyproject.toml')) {
-    existingConfig = fs.readFileSync('pyproject.toml', 'utf8').trim()
+function printDiff(diff) {
+  for (const line of diff.trimEnd().split('\n')) {
+    if (line.startsWith('@@')) console.log(chalk.cyan(line))
+    else if (line.startsWith('+') && !line.startsWith('+++')) console.log(chalk.green(line))
+    else if (line.startsWith('-') && !line.startsWith('---')) console.log(chalk.red(line))
+    else console.log(line)
   }
-
-  const moduleName = projectName.replace(/-/g, '_')
-  const extraConfig = renderTemplate(readTemplate('pyproject.extra.toml'), { MODULE_NAME: moduleName }).trimStart()
-  const fullConfig = (existingConfig ? existingConfig + '\n' : '') + '\n' + extraConfig + '\n'
-  fs.writeFileSync('pyproject.toml', fullConfig)
 }
 
-// Simple TOML parser and serializer for this use case
-function parseToml(tomlStr) {
-  const result = {}
-  const lines = tomlStr.split('\n')
-  let currentSection = result
-  const sectionStack = []
-  let arrayContinuation = false
-  let currentArrayKey = null
-  let currentArrayValue = []
-
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed || trimmed.startsWith('#')) continue
-
-    // Handle array continuation
-    if (arrayContinuation) {
-      if (trimmed.endsWith(']')) {
-        // End of array
-        arrayContinuation = false
-        const arrayContent = trimmed.slice(0, -1).trim()
-        if (arrayContent) {
-          currentArrayValue.push(...parseArrayItems(arrayContent))
-        }
-        currentSection[currentArrayKey] = currentArrayValue
-        currentArrayKey = null
-        currentArrayValue = []
-      } else {
-        // Continue array
-        currentArrayValue.push(...parseArrayItems(trimmed))
-      }
-      continue
-    }
-
-    // Section headers
-    const sectionMatch = trimmed.match(/^\[([^\]]+)\]/)
-    if (sectionMatch) {
-      const sectionPath = sectionMatch[1].split('.')
-      let current = result
-
-      for (let i = 0; i < sectionPath.length - 1; i++) {
-        if (!current[sectionPath[i]]) {
-          current[sectionPath[i]] = {}
-        }
-        current = current[sectionPath[i]]
-      }
+async function upgradeProject(options) {
+  // Directorio temporal para descargar la versión base; se elimina antes de salir
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-'))
+  let exitCode
+  try {
+    exitCode = await runUpgrade(options, workDir)
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+  process.exit(exitCode)
+}
 
-      const sectionName = sectionPath[sectionPath.length - 1]
-      current[sectionName] = current[sectionName] || {}
-      currentSection = current[sectionName]
-      sectionStack.length = 0
-      sectionStack.push(...sectionPath)
-      continue
-    }
+async function runUpgrade(options, workDir) {
+  const spinner = ora(t('upgrade.start')).start()
 
-    // Key-value pairs
-    const kvMatch = trimmed.match(/^([^=]+)\s*=\s*(.*)$/)
-    if (kvMatch) {
-      const key = kvMatch[1].trim()
-      let value = kvMatch[2].trim()
-
-      // Check if this is an array start
-      if (value.startsWith('[')) {
-        if (value.endsWith(']')) {
-          // Complete array in one line
-          const arrayContent = value.slice(1, -1).trim()
-          currentSection[key] = parseArrayItems(arrayContent)
-        } else {
-          // Multi-line array
-          arrayContinuation = true
-          currentArrayKey = key
-          currentArrayValue = []
-          const arrayContent = value.slice(1).trim()
-          if (arrayContent) {
-            currentArrayValue.push(...parseArrayItems(arrayContent))
-          }
-        }
-      } else {
-        // Handle inline tables (special case for authors)
-        if (value.startsWith('{') && value.endsWith('}')) {
-          try {
-            currentSection[key] = parseInlineTable(value)
-          } catch (e) {
-            // Fallback: keep as string
-            currentSection[key] = value
-          }
-        } else {
-          // Remove quotes if present
-          if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
-            value = value.slice(1, -1)
-          }
-          currentSection[key] = value
-        }
-      }
+  try {
+    const dir = path.resolve(options.dir || '.')
+    const context = readProjectContext(dir)
+
+    // La base de la fusión es la versión indicada con --from o la registrada en el lockfile del proyecto
+    const lock = readLockfile(dir)
+    const lang = projectLanguage(lock, options.lang)
+    const templates = createTemplateStore(options, loadConfig({ configPath: options.config }), lang)
+    const from = options.from || (lock && lock.version)
+    if (!from) {
+      throw new UsageError(t('upgrade.noLockfile', { lockfile: LOCKFILE_NAME }))
     }
-  }
 
-  return result
-}
-
-function parseArrayItems(arrayStr) {
-  const items = []
-  let currentItem = ''
-  let inQuotes = false
-  let quoteChar = ''
-
-  for (let i = 0; i < arrayStr.length; i++) {
-    const char = arrayStr[i]
-
-    if ((char === '"' || char === "'") && (i === 0 || arrayStr[i - 1] !== '\\')) {
-      if (!inQuotes) {
-        inQuotes = true
-        quoteChar = char
-      } else if (char === quoteChar) {
-        inQuotes = false
-        quoteChar = ''
-      } else {
-        currentItem += char
-      }
-    } else if (char === ',' && !inQuotes) {
-      if (currentItem.trim()) {
-        items.push(currentItem.trim().replace(/^["']|["']$/g, ''))
-      }
-      currentItem = ''
+    // Con la misma versión, la base son los templates incluidos (más los packs actuales si no han cambiado)
+    let baseTemplates
+    if (options.from || from !== getToolVersion()) {
+      spinner.text = t('upgrade.fetching', { from })
+      baseTemplates = new TemplateStore([fetchTemplateVersion(from, workDir)], { builtin: false, lang })
+    } else if (JSON.stringify(lock.templates) === JSON.stringify(describeTemplateLayers(templates))) {
+      baseTemplates = templates
     } else {
-      currentItem += char
+      baseTemplates = new TemplateStore([], { lang })
     }
-  }
-
-  // Add the last item
-  if (currentItem.trim()) {
-    items.push(currentItem.trim().replace(/^["']|["']$/g, ''))
-  }
+    const plans = planUpgrade(templates, baseTemplates, dir, context)
+    spinner.stop()
 
-  return items
-}
-
-function parseInlineTable(tableStr) {
-  const result = {}
-  let content = tableStr.slice(1, -1).trim()
-
-  // Handle the case where we have an array of inline tables like [{ name = "...", email = "..." }]
-  if (content.startsWith('[') && content.endsWith(']')) {
-    content = content.slice(1, -1).trim()
-    // Return array of inline tables
-    return parseArrayItems(content).map(item => {
-      if (typeof item === 'string' && item.startsWith('{') && item.endsWith('}')) {
-        return parseInlineTable(item)
+    if (lock) {
+      const modified = findModifiedFiles(dir, lock).map(({ file, status }) => `${file} (${status})`)
+      if (modified.length > 0) {
+        spinner.info(t('upgrade.modified', { files: modified.join(', ') }))
       }
-      return item
-    })
-  }
+    }
 
-  // Simple parser for inline tables like { name = "author", email = "email" }
-  const pairs = []
-  let currentPair = ''
-  let inBraces = false
-
-  for (let i = 0; i < content.length; i++) {
-    const char = content[i]
-
-    if (char === '{') {
-      inBraces = true
-      currentPair += char
-    } else if (char === '}') {
-      inBraces = false
-      currentPair += char
-    } else if (char === ',' && !inBraces) {
-      if (currentPair.trim()) {
-        pairs.push(currentPair.trim())
+    const changes = plans.filter(plan => plan.status !== 'unchanged')
+    if (changes.every(plan => plan.status === 'removed')) {
+      if (!options.diffOnly) {
+        updateLockfile(dir, [], { version: getToolVersion(), templates: describeTemplateLayers(templates) })
       }
-      currentPair = ''
-    } else {
-      currentPair += char
+      console.log(chalk.green(t('upgrade.upToDate')))
+      return 0
     }
-  }
 
-  if (currentPair.trim()) {
-    pairs.push(currentPair.trim())
-  }
+    for (const plan of changes) {
+      console.log(chalk.bold(`${plan.destination}: ${UPGRADE_STATUS[plan.status]}`))
+      if (plan.diff) printDiff(plan.diff)
+      console.log()
+    }
 
-  for (const pair of pairs) {
-    const trimmed = pair.trim()
-    if (!trimmed) continue
+    const conflicts = plans.filter(plan => plan.status === 'conflict')
+    if (options.diffOnly) {
+      return 0
+    }
 
-    if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-      // Nested inline table
-      result['nested'] = parseInlineTable(trimmed)
-      continue
+    if (!options.yes) {
+      const { apply } = await inquirer.prompt([
+        { type: 'confirm', name: 'apply', message: t('upgrade.confirm'), default: true },
+      ])
+      if (!apply) return 0
     }
 
-    const match = trimmed.match(/^([^=]+)\s*=\s*(.*)$/)
-    if (match) {
-      const key = match[1].trim()
-      let value = match[2].trim()
+    const written = applyUpgrade(plans, dir)
+    for (const file of written) {
+      spinner.succeed(t('upgrade.updated', { file }))
+    }
+    // Con conflictos pendientes la versión registrada sigue siendo la base de la próxima fusión
+    updateLockfile(
+      dir,
+      written,
+      conflicts.length === 0 ? { version: getToolVersion(), templates: describeTemplateLayers(templates) } : {},
+    )
+    for (const plan of conflicts) {
+      spinner.fail(t('upgrade.conflicts', { file: plan.destination, count: plan.conflicts.length }))
+    }
+    return conflicts.length > 0 ? EXIT_CODES.CONFLICT : 0
+  } catch (error) {
+    spinner.fail(t('upgrade.failed', { error: error.message }))
+    return error.exitCode || EXIT_CODES.ERROR
+  }
+}
 
-      // Remove quotes if present
-      if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
-        value = value.slice(1, -1)
+const CONFLICT_CHOICES = ['skip', 'overwrite', 'new', 'diff'].map(value => ({
+  name: t(`conflicts.choices.${value}`),
+  value,
+}))
+
+// En modo interactivo, los archivos generados que ya existen en el destino se resuelven preguntando uno a uno
+async function askConflicts(conflicts, reporter) {
+  const resolutions = {}
+  reporter.pause()
+  for (const { file, diff } of conflicts) {
+    let resolution = 'diff'
+    while (resolution === 'diff') {
+      ;({ resolution } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'resolution',
+          message: t('conflicts.prompt', { file }),
+          choices: CONFLICT_CHOICES.filter(choice => choice.value !== 'diff' || diff),
+          default: 'skip',
+        },
+      ]))
+      if (resolution === 'diff') {
+        printDiff(diff)
+        console.log()
       }
-
-      result[key] = value
     }
+    resolutions[file] = resolution
   }
+  reporter.resume()
+  return resolutions
+}
 
-  return result
+// Sin uv, en modo interactivo se pide consentimiento antes de descargarlo
+async function askUvInstall({ version, dir }, reporter) {
+  reporter.pause()
+  const { consent } = await inquirer.prompt([
+    { type: 'confirm', name: 'consent', message: t('create.uvConsent', { version, dir }), default: false },
+  ])
+  reporter.resume()
+  return consent
 }
 
-function tomlify(obj, indent = 0) {
-  const spaces = ' '.repeat(indent)
-  let result = ''
-
-  for (const [key, value] of Object.entries(obj)) {
-    if (value === null || value === undefined) continue
-
-    if (typeof value === 'object' && !Array.isArray(value)) {
-      // Check if it's an inline table (has simple key-value pairs)
-      const keys = Object.keys(value)
-      const isInlineTable =
-        keys.length > 0 &&
-        keys.every(
-          k => typeof value[k] === 'string' || typeof value[k] === 'boolean' || typeof value[k] === 'number',
-        ) &&
-        ((keys.includes('name') && keys.includes('email')) || keys.length <= 3)
-
-      if (isInlineTable && (key === 'authors' || key === 'maintainers' || indent > 0)) {
-        result += `${spaces}${key} = ${inlineTableToToml(value)}\n`
-      } else {
-        // Quote key if it contains special characters for sections too
-        const quotedKey = key.includes('*') || key.includes('/') || key.includes('.') ? `"${key}"` : key
-        result += `${spaces}[${quotedKey}]\n`
-        result += tomlify(value, indent + 2)
-      }
-    } else {
-      // Quote key if it contains special characters
-      const quotedKey = key.includes('*') || key.includes('/') || key.includes('.') ? `"${key}"` : key
-      result += `${spaces}${quotedKey} = `
-      if (Array.isArray(value)) {
-        if (value.length === 0) {
-          result += '[]\n'
-        } else if (typeof value[0] === 'object' && value[0] !== null) {
-          // Array of objects (inline tables)
-          result += '[\n'
-          for (const item of value) {
-            result += `${spaces}  ${inlineTableToToml(item)},\n`
-          }
-          result += `${spaces}]\n`
-        } else {
-          // Array of strings/primitives
-          result += '[\n'
-          for (const item of value) {
-            if (typeof item === 'string') {
-              result += `${spaces}  "${item}",\n`
-            } else {
-              result += `${spaces}  ${item},\n`
-            }
-          }
-          result += `${spaces}]\n`
-        }
-      } else if (typeof value === 'string') {
-        result += `"${value}"\n`
-      } else if (typeof value === 'boolean') {
-        result += value ? 'true\n' : 'false\n'
-      } else if (typeof value === 'number') {
-        result += `${value}\n`
-      } else {
-        result += `"${value}"\n`
-      }
-    }
+function printDryRun(plan, options) {
+  if (options.format === 'json') {
+    console.log(JSON.stringify(plan, null, 2))
+    return
   }
 
-  return result
+  const status = {
+    create: chalk.green(t('dryRun.status.create')),
+    overwrite: chalk.yellow(t('dryRun.status.overwrite')),
+    conflict: chalk.red(t(options.yes ? 'dryRun.status.conflictAbort' : 'dryRun.status.conflictAsk')),
+    unchanged: chalk.gray(t('dryRun.status.unchanged')),
+  }
+  console.log(chalk.yellow(t('dryRun.header')))
+  console.log()
+  console.log(chalk.cyan(t('dryRun.plan')))
+  plan.steps.forEach((step, index) => {
+    console.log(chalk.white(`${String(index + 1).padStart(2)}. ${step.description}`))
+    if (step.command)
+      console.log(chalk.gray(`    $ ${formatCommand(step.command)}  ${t('dryRun.cwd', { cwd: step.cwd })}`))
+  })
+  console.log()
+  console.log(chalk.cyan(t('dryRun.dependencies')))
+  console.log(chalk.white(`runtime: ${plan.dependencies.runtime.join(', ') || t('dryRun.none')}`))
+  console.log(chalk.white(`dev: ${plan.dependencies.dev.join(', ') || t('dryRun.none')}`))
+  console.log()
+  console.log(chalk.cyan(t('dryRun.files')))
+  for (const file of plan.files) {
+    console.log()
+    console.log(chalk.bold(`── ${file.path} (${status[file.status]}, ${file.source})`))
+    if (file.diff) printDiff(file.diff)
+    else if (file.status === 'create') console.log(file.content.trimEnd() || chalk.gray(t('dryRun.empty')))
+  }
 }
 
-function inlineTableToToml(obj) {
-  const pairs = []
-  for (const [key, value] of Object.entries(obj)) {
-    if (typeof value === 'string') {
-      pairs.push(`${key} = "${value}"`)
-    } else if (typeof value === 'boolean') {
-      pairs.push(`${key} = ${value}`)
-    } else if (typeof value === 'number') {
-      pairs.push(`${key} = ${value}`)
-    } else {
-      pairs.push(`${key} = "${value}"`)
+// Mensaje final de una generación terminada: comprobaciones, pasos omitidos, estructura y próximos pasos
+function printSummary(reporter, result, { structure, runCommand, claude }) {
+  const { verify, skipped, projectName, projectPath } = result
+  const log = text => reporter.log(text)
+  log()
+  if (verify) {
+    const colors = { passed: chalk.green, failed: chalk.red, skipped: chalk.gray }
+    const labels = {
+      passed: t('verify.status.passed'),
+      failed: t('verify.status.failed'),
+      skipped: t('verify.status.skipped'),
+    }
+    log(chalk.cyan(t('verify.summary')))
+    formatVerifyTable(verify, labels).forEach((line, index) => log(colors[verify[index].status](`  ${line}`)))
+    log()
+    for (const gate of verify.filter(gate => gate.status === 'failed')) {
+      log(chalk.red(`${gate.name}:`))
+      log(chalk.gray(gate.output))
+      log()
+    }
+  }
+  log(result.status === 'failed' ? chalk.red.bold(`❌ ${result.error}`) : chalk.green.bold(t('summary.success')))
+  log()
+  if (skipped.length > 0) {
+    log(chalk.yellow(t('summary.skipped')))
+    for (const { step, reason, command } of skipped) {
+      log(chalk.white(`- ${step} (${reason}): ${formatCommand(command)}`))
     }
+    log()
+  }
+  log(chalk.cyan(t('summary.structure')))
+  log(chalk.white(`${projectName}/`))
+  for (const line of formatTree(structure)) {
+    log(chalk.white(line))
+  }
+  log()
+  log(chalk.cyan(t('summary.nextSteps')))
+  const relativePath = path.relative(process.cwd(), projectPath)
+  const steps = [...(relativePath ? [`cd ${relativePath}`] : []), t('summary.openEditor')]
+  steps.forEach((step, index) => log(chalk.white(`${index + 1}. ${step}`)))
+  log()
+  log(chalk.cyan(t('summary.devCommands')))
+  const command = (text, description) => log(chalk.white(`${text.padEnd(43)} # ${description}`))
+  if (runCommand) {
+    command(runCommand, t('summary.run'))
+  }
+  command('uv run pytest --cov=src', t('summary.test'))
+  command('uv run ruff check . && uv run ruff format .', t('summary.lint'))
+  command('uv run mypy src/', t('summary.typecheck'))
+  log()
+  log(chalk.cyan(t('summary.packages')))
+  command(`uv add ${t('summary.packageName')}`, t('summary.add'))
+  command(`uv add --dev ${t('summary.packageName')}`, t('summary.addDev'))
+  command('uv sync', t('summary.sync'))
+  if (claude) {
+    log()
+    log(chalk.yellow(t('summary.claudeRules')))
+    log(chalk.yellow(t('summary.claudeFollows')))
   }
-  return `{ ${pairs.join(', ')} }`
 }
 
-async function createCodeFiles(projectName) {
-  const moduleName = projectName.replace(/-/g, '_')
-  const srcPath = path.join('src', moduleName)
-  const testsPath = 'tests'
-
-  // Función para asegurar que las carpetas existen
-  function ensureDirSync(dir) {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true })
+// Imprime una lista de rutas como árbol ordenado, con los comentarios alineados en la misma columna
+function formatTree(entries) {
+  const root = { children: new Map() }
+  for (const entry of entries) {
+    let node = root
+    for (const part of entry.path.split('/')) {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map() })
+      }
+      node = node.children.get(part)
     }
+    node.description = node.description || entry.description
   }
 
-  // Asegurar que las carpetas necesarias existan
-  ensureDirSync(srcPath)
-  ensureDirSync(testsPath)
-
-  // Crear archivos desde templates
-  copyTemplate('main.py.template', path.join(srcPath, 'main.py'), { PROJECT_NAME: projectName })
-  copyTemplate('py.typed.template', path.join(srcPath, 'py.typed'))
-  copyTemplate('__init__.py.template', path.join(srcPath, '__init__.py'), { PROJECT_NAME: projectName })
-
-  // Crear __init__.py vacío en tests si no existe
-  const testsInitPath = path.join(testsPath, '__init__.py')
-  if (!fs.existsSync(testsInitPath)) {
-    fs.writeFileSync(testsInitPath, '')
+  const lines = []
+  const walk = (node, prefix) => {
+    const children = [...node.children.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    children.forEach(([name, child], index) => {
+      const last = index === children.length - 1
+      // Compactar directorios con un único subdirectorio (ej. src/mi_proyecto/)
+      while (child.children.size === 1 && [...child.children.values()][0].children.size > 0) {
+        const [childName, grandChild] = [...child.children.entries()][0]
+        name = `${name}/${childName}`
+        child = grandChild
+      }
+      const label = `${prefix}${last ? '└── ' : '├── '}${name}${child.children.size > 0 ? '/' : ''}`
+      lines.push(child.description ? `${label.padEnd(27)} # ${child.description}` : label)
+      walk(child, `${prefix}${last ? '    ' : '│   '}`)
+    })
   }
-
-  copyTemplate('test_main.py.template', path.join(testsPath, 'test_main.py'), { MODULE_NAME: moduleName })
-  copyTemplate('.claude.md.template', '.claude.md')
-  copyTemplate('.pre-commit-config.yaml.template', '.pre-commit-config.yaml')
+  walk(root, '')
+  return lines
 }
 
 program.parse()
@@ -1,10 +1,11 @@
 #!/usr/bin/env node
 
-import { execSync } from 'child_process'
+import { execFileSync } from 'child_process'
 import { config } from 'dotenv'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { platformCommand } from '../src/runner.js'
 
 // Load environment variables from .env file
 config()
@@ -12,6 +13,12 @@ config()
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+// npm is npm.cmd on Windows, which can only be run through the shell
+function npm(args, options) {
+  const command = platformCommand('npm', args)
+  return execFileSync(command.file, command.args, { ...options, shell: command.shell })
+}
+
 class ReleaseManager {
   constructor() {
     this.warnings = []
@@ -49,14 +56,14 @@ class ReleaseManager {
     this.log('=== PASO 1: Verificación previa ===')
 
     // Verificar rama actual - usar 'master' para consistencia según instrucciones
-    this.currentBranch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8' }).trim()
+    this.currentBranch = execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { encoding: 'utf8' }).trim()
     if (this.currentBranch !== 'master' && this.currentBranch !== 'main') {
       throw new Error(`Rama actual es '${this.currentBranch}'. Debe estar en 'master' o 'main'`)
     }
     this.log(`✅ Rama correcta: ${this.currentBranch}`)
 
     // Verificar estado de git
-    const gitStatus = execSync('git status --porcelain', { encoding: 'utf8' }).trim()
+    const gitStatus = execFileSync('git', ['status', '--porcelain'], { encoding: 'utf8' }).trim()
     if (gitStatus) {
       throw new Error('Hay cambios sin añadir. Por favor, añade o descarta los cambios antes de continuar.')
     }
@@ -64,7 +71,7 @@ class ReleaseManager {
 
     // Normalizar package.json
     this.log('🔧 Ejecutando npm pkg fix...')
-    execSync('npm pkg fix', { stdio: 'inherit' })
+    npm(['pkg', 'fix'], { stdio: 'inherit' })
 
     // Verificar formato de versión semver
     const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'))
@@ -83,20 +90,18 @@ class ReleaseManager {
     // Instalar dependencias
     this.log('📦 Instalando dependencias...')
     try {
-      execSync('npm ci', { stdio: 'inherit' })
+      npm(['ci'], { stdio: 'inherit' })
     } catch (error) {
       throw new Error(`Error instalando dependencias: ${error.message}`)
     }
 
-    // Verificar tests
+    // Ejecutar los tests: si alguno falla no se publica
     this.log('🧪 Ejecutando tests...')
     try {
-      execSync('npm test', { stdio: 'inherit' })
+      npm(['test'], { stdio: 'inherit' })
       this.log('✅ Tests pasaron exitosamente')
     } catch (error) {
-      this.warn('Paquete sin tests configurados - continuando con advertencia')
-      this.report.issues.push('Tests no configurados')
-      this.report.solutions.push('Se recomienda agregar tests antes del próximo release')
+      throw new Error(`Error en los tests: ${error.message}`)
     }
   }
 
@@ -108,7 +113,7 @@ class ReleaseManager {
     if (packageJson.scripts && packageJson.scripts.build) {
       this.log('🔨 Ejecutando build...')
       try {
-        execSync('npm run build', { stdio: 'inherit' })
+        npm(['run', 'build'], { stdio: 'inherit' })
         this.log('✅ Build completado')
       } catch (error) {
         throw new Error(`Error en build: ${error.message}`)
@@ -123,20 +128,20 @@ class ReleaseManager {
     this.log('=== PASO 4: Versionado ===')
 
     // Obtener versión actual
-    const currentVersion = execSync('npm pkg get version', { encoding: 'utf8' }).trim().replace(/"/g, '')
+    const currentVersion = npm(['pkg', 'get', 'version'], { encoding: 'utf8' }).trim().replace(/"/g, '')
     this.report.version = currentVersion
 
     // Verificar si ya existe un tag para esta versión - CORREGIDO
-    const existingTags = execSync(`git tag -l v${currentVersion}`, { encoding: 'utf8' }).trim()
+    const existingTags = execFileSync('git', ['tag', '-l', `v${currentVersion}`], { encoding: 'utf8' }).trim()
     if (existingTags) {
       this.log(`✅ Usando versión existente: ${currentVersion} (tag ya existe)`)
     } else {
       // El tag no existe, incrementar versión
       this.log(`🔢 Incrementando versión ${releaseType}: ${currentVersion}`)
-      execSync(`npm version ${releaseType} --no-git-tag-version`, { stdio: 'inherit' })
+      npm(['version', releaseType, '--no-git-tag-version'], { stdio: 'inherit' })
 
       // Obtener nueva versión
-      const newVersion = execSync('npm pkg get version', { encoding: 'utf8' }).trim().replace(/"/g, '')
+      const newVersion = npm(['pkg', 'get', 'version'], { encoding: 'utf8' }).trim().replace(/"/g, '')
       this.report.version = newVersion
       this.log(`✅ Versión incrementada: ${currentVersion} → ${newVersion}`)
     }
@@ -149,7 +154,7 @@ class ReleaseManager {
     // Obtener último tag
     let lastTag = ''
     try {
-      lastTag = execSync('git describe --tags --abbrev=0', { encoding: 'utf8' }).trim()
+      lastTag = execFileSync('git', ['describe', '--tags', '--abbrev=0'], { encoding: 'utf8' }).trim()
     } catch (error) {
       this.warn('No se encontraron tags anteriores')
       lastTag = ''
@@ -158,12 +163,12 @@ class ReleaseManager {
     let changes = []
     if (lastTag) {
       // Obtener commits desde último tag
-      const commits = execSync(`git log ${lastTag}..HEAD --oneline`, { encoding: 'utf8' }).trim()
+      const commits = execFileSync('git', ['log', `${lastTag}..HEAD`, '--oneline'], { encoding: 'utf8' }).trim()
       if (commits) {
         changes = commits.split('\n').map(commit => `- ${commit}`)
       } else {
         // Si no hay commits, obtener cambios staged
-        const staged = execSync('git diff --cached --name-only', { encoding: 'utf8' }).trim()
+        const staged = execFileSync('git', ['diff', '--cached', '--name-only'], { encoding: 'utf8' }).trim()
         if (staged) {
           changes = [`- Cambios en archivos: ${staged.split('\n').join(', ')}`]
         }
@@ -208,10 +213,10 @@ class ReleaseManager {
     this.log('=== PASO 6: Commit y tag ===')
 
     // Añadir cambios
-    execSync('git add .', { stdio: 'inherit' })
+    execFileSync('git', ['add', '.'], { stdio: 'inherit' })
 
     // Verificar si hay cambios para commitear
-    const gitStatus = execSync('git status --porcelain', { encoding: 'utf8' }).trim()
+    const gitStatus = execFileSync('git', ['status', '--porcelain'], { encoding: 'utf8' }).trim()
     if (!gitStatus) {
       this.log('ℹ️  No hay cambios para commitear')
       return
@@ -220,11 +225,11 @@ class ReleaseManager {
     // Commit
     const commitMessage = `chore(release): v${this.report.version}`
     try {
-      execSync(`git commit -m "${commitMessage}"`, { stdio: 'inherit' })
+      execFileSync('git', ['commit', '-m', commitMessage], { stdio: 'inherit' })
     } catch (error) {
       if (error.message.includes('pre-commit')) {
         this.warn('Hook pre-commit no encontrado - usando --no-verify')
-        execSync(`git commit --no-verify -m "${commitMessage}"`, { stdio: 'inherit' })
+        execFileSync('git', ['commit', '--no-verify', '-m', commitMessage], { stdio: 'inherit' })
         this.report.issues.push('Hooks de pre-commit no ejecutados')
         this.report.solutions.push('Se recomienda ejecutar hooks de calidad manualmente')
       } else {
@@ -233,12 +238,14 @@ class ReleaseManager {
     }
 
     // Verificar si el tag ya existe - CORREGIDO
-    const existingTags = execSync(`git tag -l v${this.report.version}`, { encoding: 'utf8' }).trim()
+    const existingTags = execFileSync('git', ['tag', '-l', `v${this.report.version}`], { encoding: 'utf8' }).trim()
     if (existingTags) {
       this.log(`ℹ️  Tag v${this.report.version} ya existe - omitiendo creación`)
     } else {
       // El tag no existe, crearlo
-      execSync(`git tag -a v${this.report.version} -m "Release v${this.report.version}"`, { stdio: 'inherit' })
+      execFileSync('git', ['tag', '-a', `v${this.report.version}`, '-m', `Release v${this.report.version}`], {
+        stdio: 'inherit',
+      })
       this.log(`✅ Tag creado: v${this.report.version}`)
     }
 
@@ -251,17 +258,17 @@ class ReleaseManager {
 
     // Push commits y tags siguiendo las instrucciones: git push origin master && git push --tags
     try {
-      execSync(`git push origin ${this.currentBranch}`, { stdio: 'inherit' })
+      execFileSync('git', ['push', 'origin', this.currentBranch], { stdio: 'inherit' })
       this.log('✅ Push de commits completado')
 
-      execSync('git push --tags', { stdio: 'inherit' })
+      execFileSync('git', ['push', '--tags'], { stdio: 'inherit' })
       this.log('✅ Push de tags completado')
     } catch (error) {
       throw new Error(`Error en push: ${error.message}`)
     }
 
     // Obtener SHA del commit actual
-    this.report.commitSha = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim()
+    this.report.commitSha = execFileSync('git', ['rev-parse', 'HEAD'], { encoding: 'utf8' }).trim()
   }
 
   // 8. Publicación en npmjs
@@ -273,7 +280,7 @@ class ReleaseManager {
     }
 
     try {
-      execSync('npm publish --access public', { stdio: 'inherit' })
+      npm(['publish', '--access', 'public'], { stdio: 'inherit' })
       const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'))
       this.report.registryUrls.push(`https://www.npmjs.com/package/${packageJson.name}`)
       this.log('✅ Publicación en npm completada')
@@ -294,7 +301,7 @@ class ReleaseManager {
         const npmrcContent = fs.readFileSync('.npmrc', 'utf8')
         if (npmrcContent.includes('npm.pkg.github.com')) {
           try {
-            execSync('npm publish --registry=https://npm.pkg.github.com', { stdio: 'inherit' })
+            npm(['publish', '--registry=https://npm.pkg.github.com'], { stdio: 'inherit' })
             this.report.registryUrls.push('https://github.com/jhonma82/create-python-modern/packages')
             this.log('✅ Publicación en GitHub Packages completada')
           } catch (error) {
@@ -329,7 +336,7 @@ class ReleaseManager {
 
     while (retries > 0 && !npmVersion) {
       try {
-        npmVersion = execSync(`npm view ${packageJson.name} version`, { encoding: 'utf8' }).trim()
+        npmVersion = npm(['view', packageJson.name, 'version'], { encoding: 'utf8' }).trim()
         break
       } catch (error) {
         retries--
@@ -349,7 +356,7 @@ class ReleaseManager {
 
     // Obtener información del paquete
     try {
-      this.report.packageInfo = execSync(`npm view ${packageJson.name}`, { encoding: 'utf8' }).trim()
+      this.report.packageInfo = npm(['view', packageJson.name], { encoding: 'utf8' }).trim()
     } catch (error) {
       this.warn(`No se pudo obtener información completa del paquete: ${error.message}`)
       this.report.packageInfo = 'Información no disponible'
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// Adaptador de src/toml.js para toml-test (https://github.com/toml-lang/toml-test), que usa JSON con tipos:
+//   toml-test -- node scripts/toml-test.js decode
+//   toml-test -encoder -- node scripts/toml-test.js encode
+// El decoder lee TOML por stdin y escribe JSON con tipos; el encoder hace lo contrario.
+
+import * as fs from 'fs'
+import { fileURLToPath } from 'url'
+import { parse, stringify, TomlDateTime } from '../src/toml.js'
+
+function formatFloat(value) {
+  if (Number.isNaN(value)) return 'nan'
+  if (value === Infinity) return 'inf'
+  if (value === -Infinity) return '-inf'
+  return String(value)
+}
+
+// Valor de parse(…, { bigint: true }) al formato de toml-test: { "type": "integer", "value": "42" }
+export function toTagged(value) {
+  if (Array.isArray(value)) return value.map(toTagged)
+  if (value instanceof TomlDateTime) return { type: value.kind, value: value.value }
+  switch (typeof value) {
+    case 'string':
+      return { type: 'string', value }
+    case 'bigint':
+      return { type: 'integer', value: String(value) }
+    case 'number':
+      return { type: 'float', value: formatFloat(value) }
+    case 'boolean':
+      return { type: 'bool', value: String(value) }
+    default: {
+      const table = {}
+      for (const [key, item] of Object.entries(value)) {
+        Object.defineProperty(table, key, {
+          value: toTagged(item),
+          enumerable: true,
+          writable: true,
+          configurable: true,
+        })
+      }
+      return table
+    }
+  }
+}
+
+function isTaggedValue(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 2 &&
+    typeof value.type === 'string' &&
+    typeof value.value === 'string'
+  )
+}
+
+// Inverso de toTagged, para el encoder
+export function fromTagged(value) {
+  if (Array.isArray(value)) return value.map(fromTagged)
+  if (isTaggedValue(value)) {
+    switch (value.type) {
+      case 'string':
+        return value.value
+      case 'integer':
+        return BigInt(value.value)
+      case 'float':
+        return value.value === 'nan' ? NaN : Number(value.value.replace(/^([+-]?)inf$/, '$1Infinity'))
+      case 'bool':
+        return value.value === 'true'
+      case 'datetime':
+      case 'datetime-local':
+      case 'date-local':
+      case 'time-local':
+        return new TomlDateTime(value.type, value.value)
+      default:
+        throw new Error(`Tipo desconocido: ${value.type}`)
+    }
+  }
+  const table = {}
+  for (const [key, item] of Object.entries(value)) {
+    Object.defineProperty(table, key, { value: fromTagged(item), enumerable: true, writable: true, configurable: true })
+  }
+  return table
+}
+
+function main(mode) {
+  const input = fs.readFileSync(0)
+  try {
+    if (mode === 'decode') {
+      process.stdout.write(`${JSON.stringify(toTagged(parse(input, { bigint: true })))}\n`)
+    } else if (mode === 'encode') {
+      process.stdout.write(stringify(fromTagged(JSON.parse(input.toString('utf8'))), { bigint: true }))
+    } else {
+      console.error('Uso: node scripts/toml-test.js decode|encode')
+      process.exit(2)
+    }
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv[2])
+}
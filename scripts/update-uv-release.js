@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+// Fija la versión de uv que instala --install-uv y guarda en src/uv-release.json el sha256 de cada artefacto,
+// tomado de los archivos .sha256 de la release en GitHub:
+//   node scripts/update-uv-release.js 0.8.17
+// Revisa el diff antes de publicar: a partir de ese momento solo se instalan artefactos con esos checksums.
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { download, listUvArtifacts } from '../src/uv.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const RELEASE_FILE = path.resolve(__dirname, '../src/uv-release.json')
+
+async function main(version) {
+  if (!/^\d+\.\d+\.\d+$/.test(version || '')) {
+    console.error('Uso: node scripts/update-uv-release.js <versión de uv, p. ej. 0.8.17>')
+    process.exit(2)
+  }
+
+  const checksums = {}
+  for (const artifact of listUvArtifacts()) {
+    const url = `https://github.com/astral-sh/uv/releases/download/${version}/${artifact}.sha256`
+    const [hash] = (await download(url)).toString('utf8').trim().split(/\s+/)
+    if (!/^[0-9a-f]{64}$/.test(hash)) throw new Error(`Checksum no válido en ${url}`)
+    checksums[artifact] = hash
+    console.log(`${hash}  ${artifact}`)
+  }
+  fs.writeFileSync(RELEASE_FILE, `${JSON.stringify({ version, checksums }, null, 2)}\n`)
+  console.log(`${path.relative(process.cwd(), RELEASE_FILE)} actualizado a uv ${version}`)
+}
+
+main(process.argv[2]).catch(error => {
+  console.error(error.message)
+  process.exit(1)
+})
@@ -0,0 +1,103 @@
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { UsageError } from './errors.js'
+import { t } from './i18n.js'
+import { parse } from './toml.js'
+
+// Claves admitidas en los archivos de configuración y el tipo de su valor. `dependencies` y `devDependencies` se
+// añaden a las dependencias del tipo de proyecto (--deps, en cambio, las reemplaza).
+export const CONFIG_KEYS = {
+  author: 'string',
+  email: 'string',
+  license: 'string',
+  python: 'string',
+  type: 'string',
+  dependencies: 'list',
+  devDependencies: 'list',
+  features: 'list',
+  template: 'string',
+  nameList: 'string',
+  precommit: 'boolean',
+  claude: 'boolean',
+}
+
+// Variable de entorno de cada opción de la CLI que se puede fijar también desde el entorno
+export const ENV_VARS = {
+  config: 'CREATE_PYTHON_MODERN_CONFIG',
+  author: 'CREATE_PYTHON_MODERN_AUTHOR',
+  email: 'CREATE_PYTHON_MODERN_EMAIL',
+  license: 'CREATE_PYTHON_MODERN_LICENSE',
+  python: 'CREATE_PYTHON_MODERN_PYTHON',
+  type: 'CREATE_PYTHON_MODERN_TYPE',
+  deps: 'CREATE_PYTHON_MODERN_DEPS',
+  devDeps: 'CREATE_PYTHON_MODERN_DEV_DEPS',
+  features: 'CREATE_PYTHON_MODERN_FEATURES',
+  template: 'CREATE_PYTHON_MODERN_TEMPLATE',
+  nameList: 'CREATE_PYTHON_MODERN_NAME_LIST',
+  precommit: 'CREATE_PYTHON_MODERN_NO_PRECOMMIT',
+  claude: 'CREATE_PYTHON_MODERN_NO_CLAUDE',
+}
+
+// config.json o, si no existe, config.toml en el directorio de configuración del usuario
+export function getGlobalConfigPath(env = process.env) {
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+  const dir = path.join(base, 'create-python-modern')
+  const toml = path.join(dir, 'config.toml')
+  return !fs.existsSync(path.join(dir, 'config.json')) && fs.existsSync(toml) ? toml : path.join(dir, 'config.json')
+}
+
+function validateConfig(values, configPath) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new UsageError(t('config.notObject', { path: configPath }))
+  }
+  for (const [key, value] of Object.entries(values)) {
+    const type = CONFIG_KEYS[key]
+    if (!type) {
+      throw new UsageError(
+        t('config.unknownKey', { path: configPath, key, available: Object.keys(CONFIG_KEYS).join(', ') }),
+      )
+    }
+    const valid =
+      type === 'list'
+        ? Array.isArray(value) && value.every(item => typeof item === 'string')
+        : typeof value === type && value !== ''
+    if (!valid) {
+      throw new UsageError(t(`config.invalidType.${type}`, { path: configPath, key }))
+    }
+  }
+  return values
+}
+
+// Lee un archivo de configuración en JSON o, con extensión .toml, en TOML
+export function readConfigFile(configPath) {
+  let values
+  try {
+    const content = fs.readFileSync(configPath, 'utf8')
+    values = configPath.endsWith('.toml') ? parse(content, { file: configPath }) : JSON.parse(content)
+  } catch (error) {
+    throw new UsageError(t('config.invalid', { path: configPath, error: error.message }))
+  }
+  return validateConfig(values, configPath)
+}
+
+// Combina la configuración global del usuario con la de --config, que tiene prioridad. Las rutas relativas de cada
+// clave se resuelven desde el directorio del archivo que la define (`dirs`).
+export function loadConfig({ configPath, globalPath = getGlobalConfigPath() } = {}) {
+  const config = { paths: [], dirs: {}, values: {} }
+  if (configPath !== undefined && !fs.existsSync(configPath)) {
+    throw new UsageError(t('config.notFound', { path: configPath }))
+  }
+
+  for (const file of [globalPath, configPath]) {
+    if (file === undefined || !fs.existsSync(file)) continue
+    const resolved = path.resolve(file)
+    const values = readConfigFile(resolved)
+    config.paths.push(resolved)
+    for (const key of Object.keys(values)) {
+      config.dirs[key] = path.dirname(resolved)
+    }
+    Object.assign(config.values, values)
+  }
+  return config
+}
@@ -0,0 +1,163 @@
+// Diff por líneas (LCS) y fusión a tres bandas al estilo diff3, suficientes para archivos de configuración
+
+function splitLines(text) {
+  if (text === '') return []
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') lines.pop()
+  return lines
+}
+
+// Para cada línea de `a`, índice de la línea de `b` con la que se empareja en la subsecuencia común más larga (o -1)
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1)
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start
+    start++
+  }
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+    matches[endA] = endB
+  }
+
+  const rows = endA - start
+  const cols = endB - start
+  const lengths = Array.from({ length: rows + 1 }, () => new Int32Array(cols + 1))
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[start + i] === b[start + j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+  let i = 0
+  let j = 0
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return matches
+}
+
+// Operaciones de edición ({ type: 'equal' | 'delete' | 'insert', line }) que transforman `oldText` en `newText`
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText)
+  const b = splitLines(newText)
+  const matches = matchLines(a, b)
+  const ops = []
+  let j = 0
+  for (let i = 0; i < a.length; i++) {
+    if (matches[i] === -1) {
+      ops.push({ type: 'delete', line: a[i] })
+      continue
+    }
+    while (j < matches[i]) ops.push({ type: 'insert', line: b[j++] })
+    ops.push({ type: 'equal', line: a[i] })
+    j++
+  }
+  while (j < b.length) ops.push({ type: 'insert', line: b[j++] })
+  return ops
+}
+
+// Diff unificado con `context` líneas de contexto; cadena vacía si no hay cambios
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(oldText, newText)
+  const changed = ops.map((op, index) => (op.type !== 'equal' ? index : -1)).filter(index => index !== -1)
+  if (changed.length === 0) return ''
+
+  // Agrupar los cambios cuyo contexto se solapa en un mismo bloque @@
+  const hunks = []
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1]
+    if (last && index - last.end <= context * 2) {
+      last.end = index + 1
+    } else {
+      hunks.push({ start: index, end: index + 1 })
+    }
+  }
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`]
+  for (const hunk of hunks) {
+    const start = Math.max(0, hunk.start - context)
+    const end = Math.min(ops.length, hunk.end + context)
+    let oldLine = 1
+    let newLine = 1
+    for (const op of ops.slice(0, start)) {
+      if (op.type !== 'insert') oldLine++
+      if (op.type !== 'delete') newLine++
+    }
+    const body = ops.slice(start, end)
+    const oldCount = body.filter(op => op.type !== 'insert').length
+    const newCount = body.filter(op => op.type !== 'delete').length
+    output.push(
+      `@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`,
+    )
+    for (const op of body) {
+      output.push(`${op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+'}${op.line}`)
+    }
+  }
+  return `${output.join('\n')}\n`
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index])
+}
+
+// Fusión a tres bandas: aplica sobre `ours` los cambios que hay de `base` a `theirs`. Los bloques que ambos lados
+// cambian de forma distinta se marcan como conflicto (con marcadores <<<<<<< / ======= / >>>>>>> en `text`).
+export function merge3(base, ours, theirs, { oursLabel = 'actual', theirsLabel = 'template' } = {}) {
+  const baseLines = splitLines(base)
+  const oursLines = splitLines(ours)
+  const theirsLines = splitLines(theirs)
+  const toOurs = matchLines(baseLines, oursLines)
+  const toTheirs = matchLines(baseLines, theirsLines)
+
+  const output = []
+  const conflicts = []
+  let b = 0
+  let o = 0
+  let t = 0
+  while (b < baseLines.length || o < oursLines.length || t < theirsLines.length) {
+    // Línea estable: presente en los tres sin cambios alrededor
+    if (b < baseLines.length && toOurs[b] === o && toTheirs[b] === t) {
+      output.push(baseLines[b])
+      b++
+      o++
+      t++
+      continue
+    }
+
+    // Siguiente línea de la base presente en los dos lados, que cierra el bloque inestable
+    let next = b
+    while (next < baseLines.length && (toOurs[next] === -1 || toTheirs[next] === -1)) next++
+    const oursEnd = next < baseLines.length ? toOurs[next] : oursLines.length
+    const theirsEnd = next < baseLines.length ? toTheirs[next] : theirsLines.length
+
+    const baseChunk = baseLines.slice(b, next)
+    const oursChunk = oursLines.slice(o, oursEnd)
+    const theirsChunk = theirsLines.slice(t, theirsEnd)
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      output.push(...theirsChunk)
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      output.push(...oursChunk)
+    } else {
+      conflicts.push({ line: output.length + 1, base: baseChunk, ours: oursChunk, theirs: theirsChunk })
+      output.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`)
+    }
+    b = next
+    o = oursEnd
+    t = theirsEnd
+  }
+
+  const trailingNewline = ours === '' || ours.endsWith('\n') || theirs.endsWith('\n')
+  return { text: output.join('\n') + (output.length > 0 && trailingNewline ? '\n' : ''), conflicts }
+}
@@ -0,0 +1,73 @@
+import { t } from './i18n.js'
+
+// Códigos de salida: 1 para fallos durante la generación, 2 para entradas inválidas o ausentes,
+// 3 cuando hay conflictos con archivos existentes que no se han resuelto (upgrade o generación en un directorio)
+// y 4 cuando el proyecto generado no pasa sus propias comprobaciones de calidad (--verify)
+export const EXIT_CODES = {
+  ERROR: 1,
+  INVALID_INPUT: 2,
+  CONFLICT: 3,
+  VERIFY: 4,
+}
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UsageError'
+    this.exitCode = EXIT_CODES.INVALID_INPUT
+  }
+}
+
+export class ConflictError extends Error {
+  constructor(message, files = []) {
+    super(message)
+    this.name = 'ConflictError'
+    this.files = files
+    this.exitCode = EXIT_CODES.CONFLICT
+  }
+}
+
+export class TemplateError extends Error {
+  constructor(message, { template = null, line = null } = {}) {
+    const location = template ? ` (${template}${line ? `:${line}` : ''})` : ''
+    super(`${message}${location}`)
+    this.name = 'TemplateError'
+    this.template = template
+    this.line = line
+    this.exitCode = EXIT_CODES.ERROR
+  }
+}
+
+export class TomlError extends Error {
+  constructor(message, { file = null, line = null, column = null } = {}) {
+    const position = line ? `${line}${column ? `:${column}` : ''}` : ''
+    const location = file
+      ? ` (${file}${position ? `:${position}` : ''})`
+      : position
+        ? ` (${t('toml.line', { position })})`
+        : ''
+    super(`${message}${location}`)
+    this.name = 'TomlError'
+    this.reason = message
+    this.file = file
+    this.line = line
+    this.column = column
+    this.exitCode = EXIT_CODES.ERROR
+  }
+}
+
+// Un comando externo (uv, pre-commit, git...) que terminó mal o no terminó a tiempo. `status` y `signal` son los del
+// comando y `stdout`/`stderr`, su salida capturada
+export class CommandError extends Error {
+  constructor(message, { command, status = null, signal = null, stdout = '', stderr = '', timedOut = false } = {}) {
+    super(message)
+    this.name = 'CommandError'
+    this.command = command
+    this.status = status
+    this.signal = signal
+    this.stdout = stdout
+    this.stderr = stderr
+    this.timedOut = timedOut
+    this.exitCode = EXIT_CODES.ERROR
+  }
+}
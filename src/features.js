@@ -0,0 +1,127 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { TomlError, UsageError } from './errors.js'
+import { localize, t } from './i18n.js'
+import { importName, normalizeName, requirementName } from './naming.js'
+import { findTomlProblems, mergeToml } from './pyproject.js'
+import { DEFAULT_PYTHON_VERSION, pythonContext } from './python-version.js'
+import { renderTemplate } from './template-engine.js'
+import { parse } from './toml.js'
+
+function asArray(value) {
+  return Array.isArray(value) ? value : []
+}
+
+function detectPythonVersion(dir, project) {
+  const pinFile = path.join(dir, '.python-version')
+  if (fs.existsSync(pinFile)) {
+    const pinned = fs.readFileSync(pinFile, 'utf8').match(/^\s*(\d+\.\d+)/)
+    if (pinned) return pinned[1]
+  }
+  const required = String(project['requires-python'] || '').match(/(\d+\.\d+)/)
+  return required ? required[1] : DEFAULT_PYTHON_VERSION
+}
+
+// Obtiene de un proyecto uv existente las variables que usan los templates
+export function readProjectContext(dir) {
+  const pyprojectPath = path.join(dir, 'pyproject.toml')
+  if (!fs.existsSync(pyprojectPath)) {
+    throw new UsageError(t('features.noPyproject', { dir }))
+  }
+
+  const pyproject = parse(fs.readFileSync(pyprojectPath), { file: pyprojectPath })
+  const project = pyproject.project || {}
+  if (!project.name) {
+    throw new UsageError(t('features.noProjectName', { path: pyprojectPath }))
+  }
+
+  // El paquete es el directorio de src/ con __init__.py; si hay varios, el que coincide con el nombre del proyecto
+  const srcDir = path.join(dir, 'src')
+  const packages = fs.existsSync(srcDir)
+    ? fs
+        .readdirSync(srcDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(srcDir, entry.name, '__init__.py')))
+        .map(entry => entry.name)
+    : []
+  const expectedModule = importName(project.name)
+  const moduleName = packages.includes(expectedModule) ? expectedModule : packages[0] || expectedModule
+
+  const devDependencies = asArray((pyproject['dependency-groups'] || {}).dev).map(requirementName)
+  return {
+    project_name: project.name,
+    display_name: project.name,
+    module_name: moduleName,
+    ...pythonContext(detectPythonVersion(dir, project)),
+    description: project.description || null,
+    author: (asArray(project.authors)[0] || {}).name || null,
+    email: (asArray(project.authors)[0] || {}).email || null,
+    license: typeof project.license === 'string' ? project.license : null,
+    entry_point: Object.keys(project.scripts || {})[0] || null,
+    claude: fs.existsSync(path.join(dir, '.claude.md')),
+    dependencies: asArray(project.dependencies).map(requirementName),
+    dev_dependencies: devDependencies,
+    // Proyectos generados con un arquetipo sin asyncio (los que no tienen pytest-asyncio)
+    asyncio: devDependencies.map(normalizeName).includes('pytest-asyncio'),
+  }
+}
+
+// Aplica una feature (templates/features/<name>/feature.json) a un proyecto existente. Los archivos que ya existen
+// se conservan salvo con `force`, y el fragmento de pyproject.toml se combina con mergeToml (por defecto solo se
+// añaden las claves que faltan; feature.json puede declarar reglas "merge" como las del manifiesto).
+// Devuelve lo que se hizo y lo que queda pendiente de instalar o ejecutar.
+export function applyFeature(templates, name, { dir, force = false }) {
+  const available = templates.listFeatures()
+  if (!available.includes(name)) {
+    throw new UsageError(t('features.unknown', { name, available: available.join(', ') }))
+  }
+
+  const definition = templates.readFeature(name)
+  const context = readProjectContext(dir)
+  const entries = templates
+    .resolveEntries(definition.files || [], context)
+    .map(entry => ({ ...entry, overwrite: force }))
+  const skipped = entries
+    .filter(entry => entry.source && !entry.overwrite && fs.existsSync(path.join(dir, entry.destination)))
+    .map(entry => entry.destination)
+
+  // El pyproject.toml combinado se valida antes de escribir nada, para no dejar la feature a medias
+  const pyprojectPath = path.join(dir, 'pyproject.toml')
+  let merged = null
+  if (definition.pyproject) {
+    const { content } = templates.readTemplate(definition.pyproject)
+    const fragment = renderTemplate(content, context, { name: definition.pyproject })
+    merged = mergeToml(fs.readFileSync(pyprojectPath, 'utf8'), fragment, definition.merge)
+    const [problem] = findTomlProblems(merged.text)
+    if (problem) {
+      throw new TomlError(t('features.invalidPyproject', { error: problem.message }), {
+        file: 'pyproject.toml',
+        line: problem.line,
+        column: problem.column,
+      })
+    }
+  }
+
+  const written = templates.writeManifestFiles(entries, dir)
+  let settings = { added: [], updated: [], kept: [] }
+  if (merged) {
+    if (merged.added.length > 0 || merged.updated.length > 0) fs.writeFileSync(pyprojectPath, merged.text)
+    settings = { added: merged.added, updated: merged.updated, kept: merged.kept }
+  }
+
+  // Las dependencias ya declaradas no se vuelven a añadir para no cambiar las restricciones del usuario
+  const declared = new Set([...context.dependencies, ...context.dev_dependencies].map(normalizeName))
+  const missing = requirements =>
+    asArray(requirements).filter(dep => !declared.has(normalizeName(requirementName(dep))))
+
+  return {
+    name,
+    description: localize(definition.description, templates.lang) || name,
+    entries,
+    written,
+    skipped,
+    settings,
+    dependencies: missing(definition.dependencies),
+    devDependencies: missing(definition.devDependencies),
+    commands: asArray(definition.commands),
+  }
+}
@@ -0,0 +1,546 @@
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { unifiedDiff } from './diff.js'
+import { ConflictError, EXIT_CODES, UsageError } from './errors.js'
+import { applyFeature } from './features.js'
+import { getLanguage, t } from './i18n.js'
+import { createLockfile, LOCKFILE_NAME, readLockfile, updateLockfile, writeLockfile } from './lockfile.js'
+import { importName } from './naming.js'
+import { uvNetworkArgs, withUvNetworkArgs } from './options.js'
+import { applyPlacement, listTree, planPlacement, revertPlacement } from './placement.js'
+import { readProjectFiles, renderProjectFiles, writeProjectFiles } from './project-files.js'
+import { pythonContext } from './python-version.js'
+import { COMMAND_LOG_NAME, saveCommandLog } from './runner.js'
+import { ensureDirSync, findMissingFiles } from './templates.js'
+import { parse } from './toml.js'
+import { defaultUvInstallDir, findUv, installUv, previewUvInit, readUvRelease } from './uv.js'
+import { planVerify, runVerify } from './verify.js'
+
+function buildTemplateContext(projectName, options) {
+  return {
+    project_name: projectName,
+    module_name: importName(projectName),
+    display_name: options.displayName || projectName,
+    archetype: options.type,
+    ...pythonContext(options.python),
+    dependencies: options.dependencies,
+    precommit: options.precommit,
+    description: options.description || null,
+    author: options.author || null,
+    email: options.email || null,
+    license: options.license || null,
+    license_file: Boolean(options.licenseFile),
+    year: new Date().getFullYear(),
+    claude: options.claude,
+    features: options.features,
+    lang: getLanguage(),
+  }
+}
+
+// Contexto de los templates, arquetipo y manifiesto (con las features elegidas) de un proyecto nuevo
+export function resolveGeneration(projectName, options) {
+  const { templates } = options
+  const context = buildTemplateContext(projectName, options)
+  const archetype = templates.loadArchetype(options.type, context)
+  context.entry_point = Object.keys(archetype.scripts)[0] || null
+  context.asyncio = archetype.asyncio
+  return { context, archetype, manifest: templates.resolveManifest(context, archetype, options.features) }
+}
+
+// Comandos de uv de la generación, en orden: los mismos para la generación real y para --dry-run
+export function generationCommands(projectName, options) {
+  const networkArgs = uvNetworkArgs(options)
+  // --no-workspace: que uv no registre el temporal como miembro de un workspace del directorio existente
+  const initArgs = [...(options.offline ? ['--offline'] : []), ...(options.inPlace ? ['--no-workspace'] : [])]
+  // Las dependencias se resuelven en uv.lock pero el entorno virtual se crea después de mover el proyecto, porque
+  // .venv guarda rutas absolutas. Con --no-install solo se añaden a pyproject.toml (uv add --frozen no resuelve
+  // ni instala nada)
+  const addArgs = options.install ? ['--no-sync', ...networkArgs] : ['--frozen', ...networkArgs]
+  return {
+    init: ['uv', 'init', ...initArgs, '--package', '--python', options.python, projectName],
+    add: options.dependencies.length > 0 ? ['uv', 'add', ...addArgs, ...options.dependencies] : null,
+    addDev: options.devDependencies.length > 0 ? ['uv', 'add', '--dev', ...addArgs, ...options.devDependencies] : null,
+    sync: ['uv', 'sync', ...networkArgs],
+    precommit: ['uv', 'run', ...networkArgs, 'pre-commit', 'install'],
+  }
+}
+
+// Plan de la generación calculado sin ejecutar ningún comando ni escribir nada: los comandos de uv en orden, cada
+// archivo con su contenido renderizado (o el diff con el que ya existe) y las dependencias. Los archivos de uv init
+// se simulan, así que el pyproject.toml no incluye las dependencias que fijará uv add.
+export function planProject(options) {
+  const { templates, projectPath, projectName } = options
+  const { archetype, manifest } = resolveGeneration(projectName, options)
+  const commands = generationCommands(projectName, options)
+  const uvInitFiles = previewUvInit(projectName, options.python)
+  const rendered = renderProjectFiles(templates, archetype, manifest, uvInitFiles)
+  const files = { ...uvInitFiles, ...rendered }
+
+  const devGroup = (parse(files['pyproject.toml'])['dependency-groups'] || {}).dev || []
+  const stagingDir = path.join(options.inPlace ? projectPath : options.dir, `.${projectName}-XXXXXX`)
+  const root = path.join(stagingDir, projectName)
+  const steps = [
+    { description: t('dryRun.steps.init'), command: commands.init, cwd: stagingDir },
+    { description: t('dryRun.steps.templates', { count: Object.keys(rendered).length }), cwd: root },
+    ...(commands.add ? [{ description: t('dryRun.steps.add'), command: commands.add, cwd: root }] : []),
+    ...(commands.addDev ? [{ description: t('dryRun.steps.addDev'), command: commands.addDev, cwd: root }] : []),
+    {
+      description: options.inPlace
+        ? t('dryRun.steps.place', { path: projectPath })
+        : t('dryRun.steps.move', { path: projectPath }),
+    },
+    ...(options.install ? [{ description: t('dryRun.steps.sync'), command: commands.sync, cwd: projectPath }] : []),
+    ...(options.install && options.precommit
+      ? [{ description: t('dryRun.steps.precommit'), command: commands.precommit, cwd: projectPath }]
+      : []),
+    { description: t('dryRun.steps.lockfile', { lockfile: LOCKFILE_NAME }), cwd: projectPath },
+    ...(options.verify
+      ? planVerify(devGroup, uvNetworkArgs(options))
+          .filter(gate => gate.available)
+          .map(gate => ({
+            description: t('dryRun.steps.verify', { gate: gate.name }),
+            command: gate.command,
+            cwd: projectPath,
+          }))
+      : []),
+  ]
+
+  const sources = file =>
+    [...(file in uvInitFiles ? ['uv init'] : []), ...(file in rendered ? ['template'] : [])].join(' + ')
+  const plannedFiles = Object.keys(files)
+    .sort()
+    .map(file => {
+      const content = files[file]
+      const targetPath = path.join(projectPath, file)
+      const existing = options.inPlace && fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null
+      let status = 'create'
+      if (existing !== null) status = existing === content ? 'unchanged' : options.force ? 'overwrite' : 'conflict'
+      return {
+        path: file,
+        source: sources(file),
+        status,
+        content,
+        diff:
+          status === 'overwrite' || status === 'conflict'
+            ? unifiedDiff(existing, content, { fromFile: `a/${file}`, toFile: `b/${file}` })
+            : '',
+      }
+    })
+
+  return {
+    project: { name: projectName, path: projectPath, inPlace: options.inPlace },
+    steps,
+    dependencies: {
+      runtime: options.dependencies,
+      dev: [...new Set([...devGroup, ...options.devDependencies])],
+    },
+    files: plannedFiles,
+  }
+}
+
+// Deshace una generación fallida: borra el directorio temporal y, si ya se había movido, el proyecto. Con
+// --keep-on-failure se conserva el árbol a medio generar para poder revisarlo; devuelve su ruta.
+function rollbackProject({ stagingDir, projectPath, moved, placement, keepOnFailure }, logger) {
+  if (keepOnFailure) {
+    const failedTree = moved || placement ? projectPath : stagingDir
+    if (failedTree && fs.existsSync(failedTree)) {
+      logger.warn(t('create.keptOnFailure', { path: failedTree }))
+      return failedTree
+    }
+    return null
+  }
+  // En un directorio existente solo se deshace lo que escribió la generación
+  if (placement) revertPlacement(placement)
+  else if (moved) fs.rmSync(projectPath, { recursive: true, force: true })
+  if (stagingDir) fs.rmSync(stagingDir, { recursive: true, force: true })
+}
+
+// Decide qué hacer con cada archivo generado que ya existe en el destino: con `force` se sobrescriben todos; si no,
+// decide el hook `resolveConflicts` y, sin él, se aborta sin haber escrito nada
+async function resolveConflicts(conflicts, options, hooks) {
+  const resolutions = {}
+  if (conflicts.length === 0) return resolutions
+  const files = conflicts.map(conflict => conflict.file)
+  if (options.force) {
+    for (const file of files) resolutions[file] = 'overwrite'
+    return resolutions
+  }
+  if (!hooks.resolveConflicts) {
+    throw new ConflictError(t('conflicts.unresolved', { path: options.projectPath, files: files.join(', ') }), files)
+  }
+  return hooks.resolveConflicts(conflicts)
+}
+
+// Tras cada espera, una generación abortada no sigue escribiendo
+function checkAborted(signal) {
+  if (signal && signal.aborted) throw new Error(t('create.interrupted'))
+}
+
+// Genera el proyecto con las opciones ya resueltas (resolveProjectOptions). Los comandos pasan por `runner`, el
+// progreso por `logger` y las decisiones interactivas por los hooks `confirmUvInstall` y `resolveConflicts`. Si la
+// generación falla o se aborta con `signal`, se deshace todo lo escrito y se lanza el error.
+export async function generateProject(options, hooks) {
+  const { logger, runner, signal } = hooks
+  const { projectName, projectPath } = options
+  const transaction = {
+    stagingDir: null,
+    projectPath,
+    moved: false,
+    placement: null,
+    keepOnFailure: options.keepOnFailure,
+  }
+  const onAbort = () => rollbackProject(transaction, logger)
+  if (signal) signal.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    // En un directorio existente los conflictos se resuelven antes de ejecutar nada, con los archivos previstos por
+    // planProject; los que solo aparecen al generar (p. ej. uv.lock) se resuelven al colocar el proyecto
+    let resolutions = {}
+    if (options.inPlace) {
+      const predicted = planProject(options)
+        .files.filter(file => file.status === 'conflict' || file.status === 'overwrite')
+        .map(file => ({ file: file.path, diff: file.diff }))
+      resolutions = await resolveConflicts(predicted, options, hooks)
+      checkAborted(signal)
+    }
+
+    // Localizar uv; si no está, solo se instala con consentimiento (installUv o el hook confirmUvInstall) y
+    // verificando el sha256 del binario descargado
+    logger.start('uv', t('create.checkingUv'))
+    let uv = findUv({ uvPath: options.uvPath, cwd: options.cwd, runner })
+    if (uv) {
+      logger.succeed(uv === 'uv' ? t('create.uvFound') : t('create.uvPath', { path: uv }))
+    } else {
+      if (options.offline) {
+        throw new UsageError(t('create.uvMissingOffline'))
+      }
+      const version = options.uvVersion || readUvRelease().version
+      let consent = options.installUv
+      if (!consent && hooks.confirmUvInstall) {
+        consent = await hooks.confirmUvInstall({ version, dir: defaultUvInstallDir() })
+        checkAborted(signal)
+      }
+      if (!consent) {
+        throw new UsageError(t('create.uvMissing'))
+      }
+      logger.start('install-uv', t('create.installingUv', { version }))
+      const installed = await installUv({ version: options.uvVersion, sha256: options.uvSha256 })
+      checkAborted(signal)
+      uv = installed.bin
+      logger.succeed(t('create.uvInstalled', { version: installed.version, path: uv }))
+      if (!(process.env.PATH || '').split(path.delimiter).includes(path.dirname(uv))) {
+        logger.info(t('create.uvAddToPath', { dir: path.dirname(uv) }))
+      }
+    }
+
+    // Crear proyecto con uv en un directorio temporal junto al destino (mismo sistema de archivos), que solo se
+    // mueve a su sitio cuando la generación termina bien. Si el destino ya existe, el temporal va dentro de él.
+    ensureDirSync(options.dir)
+    transaction.stagingDir = fs.mkdtempSync(path.join(options.inPlace ? projectPath : options.dir, `.${projectName}-`))
+    const root = path.join(transaction.stagingDir, projectName)
+    const { templates } = options
+    const { context, archetype, manifest } = resolveGeneration(projectName, options)
+    const commands = generationCommands(projectName, options)
+    const run = (step, text, command, cwd) => {
+      logger.start(step, text, { command, cwd })
+      runner(uv, command.slice(1), { cwd })
+    }
+    run('init', t('create.init'), commands.init, transaction.stagingDir)
+
+    // VERIFICAR QUE LA ESTRUCTURA SE CREÓ CORRECTAMENTE
+    const requiredDirs = ['src', `src/${context.module_name}`]
+    for (const dir of requiredDirs) {
+      if (!fs.existsSync(path.join(root, dir))) {
+        throw new Error(t('create.missingDir', { dir }))
+      }
+    }
+
+    logger.succeed(t('create.initDone'))
+
+    // Agregar configuración moderna y archivos de código
+    logger.start('templates', t('create.templates'))
+    writeProjectFiles(root, renderProjectFiles(templates, archetype, manifest, readProjectFiles(root, manifest)))
+    for (const { file, layer } of templates.customOrigins()) {
+      logger.info(t('templates.customOrigin', { file, layer }))
+    }
+
+    // Verificar que los archivos obligatorios del manifiesto se crearon correctamente
+    const missingFiles = findMissingFiles(manifest, root)
+    if (missingFiles.length > 0) {
+      throw new Error(t('create.missingFiles', { files: missingFiles.join(', ') }))
+    }
+    logger.succeed(t('create.templatesDone'))
+
+    // Añadir dependencias
+    const skipped = []
+    if (commands.add) {
+      run('dependencies', t('create.dependencies'), commands.add, root)
+      logger.succeed(t('create.dependenciesDone', { dependencies: options.dependencies.join(', ') }))
+    }
+
+    if (commands.addDev) {
+      run('dev-dependencies', t('create.devDependencies'), commands.addDev, root)
+      logger.succeed(t('create.devDependenciesDone', { dependencies: options.devDependencies.join(', ') }))
+    }
+
+    // Archivos del proyecto, para el resultado final (sin el repositorio git que pueda haber creado uv init)
+    let files
+    if (options.inPlace) {
+      // Directorio existente: comparar el árbol generado con el destino antes de escribir nada y resolver los
+      // conflictos que no se resolvieron al empezar
+      logger.start('placement', t('create.placement', { path: projectPath }))
+      const plan = planPlacement(root, projectPath)
+      const pending = plan.conflicts.filter(conflict => !(conflict.file in resolutions))
+      Object.assign(resolutions, await resolveConflicts(pending, options, hooks))
+      checkAborted(signal)
+      transaction.placement = applyPlacement(plan, resolutions, {
+        sourceDir: root,
+        targetDir: projectPath,
+        backupDir: path.join(transaction.stagingDir, 'backup'),
+      })
+      files = [...transaction.placement.created, ...transaction.placement.overwritten]
+      if (!fs.existsSync(path.join(projectPath, '.venv'))) transaction.placement.created.push('.venv')
+      for (const file of transaction.placement.kept) {
+        logger.info(t('create.kept', { file }))
+      }
+      for (const file of transaction.placement.renamed) {
+        logger.info(t('create.renamed', { file }))
+      }
+      logger.succeed(t('create.generated', { path: projectPath }))
+    } else {
+      // Mover el proyecto a su sitio (rename es atómico en el mismo sistema de archivos)
+      logger.start('move', t('create.move', { path: projectPath }))
+      if (fs.existsSync(projectPath)) {
+        throw new Error(t('create.raceCreated', { name: projectName }))
+      }
+      files = listTree(root).files.filter(file => !file.startsWith('.git/'))
+      fs.renameSync(root, projectPath)
+      transaction.moved = true
+      fs.rmSync(transaction.stagingDir, { recursive: true, force: true })
+      transaction.stagingDir = null
+      logger.succeed(t('create.generated', { path: projectPath }))
+    }
+
+    // Las dependencias de desarrollo ya se definen en dependency-groups.dev en el pyproject.toml
+    // Solo necesitamos sincronizar para instalarlas
+    if (options.install) {
+      run('sync', t('create.sync'), commands.sync, projectPath)
+      logger.succeed(t('create.syncDone'))
+    } else {
+      logger.info(t('create.syncSkipped'))
+      skipped.push({ step: t('create.skipped.sync'), reason: '--no-install', command: commands.sync })
+    }
+
+    // Configurar pre-commit
+    if (!options.precommit) {
+      logger.info(t('create.precommitSkipped'))
+      skipped.push({ step: t('create.skipped.precommit'), reason: '--no-precommit', command: commands.precommit })
+    } else if (!options.install) {
+      skipped.push({ step: t('create.skipped.precommit'), reason: '--no-install', command: commands.precommit })
+    } else {
+      try {
+        run('precommit', t('create.precommit'), commands.precommit, projectPath)
+        logger.succeed(t('create.precommitDone'))
+      } catch (error) {
+        logger.warn(t('create.precommitFailed'))
+        skipped.push({
+          step: t('create.skipped.precommit'),
+          reason: t('create.skipped.failed'),
+          command: commands.precommit,
+        })
+      }
+    }
+
+    // Registrar versión, templates, opciones y checksums de los archivos generados
+    writeLockfile(
+      projectPath,
+      createLockfile({
+        templates,
+        // Todas las respuestas resueltas (por opción, configuración o asistente); null si no se indicaron
+        options: {
+          projectName,
+          displayName: options.displayName || projectName,
+          type: options.type,
+          python: options.python,
+          description: options.description || null,
+          author: options.author || null,
+          email: options.email || null,
+          license: options.license || null,
+          dependencies: options.dependencies,
+          devDependencies: options.devDependencies,
+          precommit: options.precommit,
+          claude: options.claude,
+          lang: getLanguage(),
+        },
+        features: options.features,
+        files: manifest
+          .map(entry => entry.destination)
+          .filter(
+            file =>
+              !transaction.placement ||
+              (!transaction.placement.kept.includes(file) && !transaction.placement.renamed.includes(file)),
+          ),
+        rootDir: projectPath,
+      }),
+    )
+    if (transaction.stagingDir) fs.rmSync(transaction.stagingDir, { recursive: true, force: true })
+    if (signal) signal.removeEventListener('abort', onAbort)
+
+    // uv sync crea uv.lock si uv add no lo había creado (sin dependencias que añadir)
+    if (!options.inPlace && !files.includes('uv.lock') && fs.existsSync(path.join(projectPath, 'uv.lock'))) {
+      files.push('uv.lock')
+    }
+    const pyproject = parse(fs.readFileSync(path.join(projectPath, 'pyproject.toml')))
+
+    // Comprobaciones de calidad que trae el propio proyecto (--verify). Se ejecutan todas aunque alguna falle y el
+    // proyecto se conserva para poder revisarlo.
+    let verify = null
+    if (options.verify) {
+      const gates = planVerify((pyproject['dependency-groups'] || {}).dev || [], uvNetworkArgs(options))
+      verify = runVerify(gates, {
+        run: command => runner(uv, command.slice(1), { cwd: projectPath }),
+        onStart: gate =>
+          logger.start(`verify-${gate.id}`, t('verify.running', { gate: gate.name }), {
+            command: gate.command,
+            cwd: projectPath,
+          }),
+        onEnd: result => {
+          if (result.status === 'passed') logger.succeed(t('verify.passed', { gate: result.name }))
+          else if (result.status === 'failed') logger.fail(t('verify.failed', { gate: result.name }))
+          else logger.info(t('verify.skipped', { gate: result.name }))
+        },
+      })
+    }
+    const commandLog = saveCommandLog(runner, projectPath)
+    const failedGates = (verify || []).filter(result => result.status === 'failed').map(result => result.name)
+    const verifyError = failedGates.length > 0 ? t('verify.error', { gates: failedGates.join(', ') }) : null
+
+    return {
+      status: verifyError ? 'failed' : 'success',
+      exitCode: verifyError ? EXIT_CODES.VERIFY : 0,
+      ...(verifyError ? { error: verifyError } : {}),
+      projectName,
+      projectPath,
+      moduleName: context.module_name,
+      inPlace: options.inPlace,
+      files: [...files, LOCKFILE_NAME, ...(commandLog ? [COMMAND_LOG_NAME] : [])].sort(),
+      dependencies: {
+        runtime: (pyproject.project || {}).dependencies || [],
+        dev: (pyproject['dependency-groups'] || {}).dev || [],
+      },
+      installed: options.install,
+      skipped: skipped.map(({ step, reason, command }) => ({ step, reason, command })),
+      ...(verify ? { verify } : {}),
+      // Para el resumen final: los archivos del manifiesto con su descripción y el comando que ejecuta el proyecto
+      structure: [
+        ...manifest.map(entry => ({ path: entry.destination, description: entry.description })),
+        { path: LOCKFILE_NAME, description: t('summary.lockfile') },
+      ],
+      runCommand: archetype.runCommand || null,
+    }
+  } catch (error) {
+    if (signal) signal.removeEventListener('abort', onAbort)
+    logger.fail(t('create.failed', { error: error.message }))
+    const keptTree = rollbackProject(transaction, logger)
+    // Sin --keep-on-failure el proyecto se borra, así que el registro de comandos se guarda en un directorio temporal
+    const logDir =
+      keptTree ||
+      (runner.log && runner.log.length > 0 ? fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-')) : null)
+    const commandLog = logDir && saveCommandLog(runner, logDir)
+    if (commandLog) {
+      logger.info(t('create.commandLog', { path: commandLog }))
+      error.commandLog = commandLog
+    }
+    error.projectPath = projectPath
+    throw error
+  }
+}
+
+// Aplica una feature a un proyecto existente (applyFeature), instala sus dependencias y ejecuta sus comandos con
+// `runner`. Sin `install`, los comandos quedan en `pending`. Devuelve lo que se hizo.
+export function installFeature(templates, feature, options, { logger, runner }) {
+  const { dir } = options
+  const result = applyFeature(templates, feature, { dir, force: options.force })
+  logger.succeed(`${feature}: ${result.description}`)
+  for (const file of result.written) {
+    logger.succeed(t('add.created', { file }))
+  }
+  for (const file of result.skipped) {
+    logger.warn(t('add.skipped', { file }))
+  }
+  if (result.settings.added.length > 0) {
+    logger.succeed(t('add.settingsAdded', { keys: result.settings.added.join(', ') }))
+  }
+  if (result.settings.updated.length > 0) {
+    logger.succeed(t('add.settingsUpdated', { keys: result.settings.updated.join(', ') }))
+  }
+  if (result.settings.kept.length > 0) {
+    logger.info(t('add.settingsKept', { keys: result.settings.kept.join(', ') }))
+  }
+  for (const { file, layer } of templates.customOrigins()) {
+    logger.info(t('templates.customOrigin', { file, layer }))
+  }
+
+  const networkArgs = uvNetworkArgs(options)
+  const settingsChanged = result.settings.added.length > 0 || result.settings.updated.length > 0
+  const touched = [...result.written, ...(settingsChanged ? ['pyproject.toml'] : [])]
+  const dependencyCommands = [
+    ...(result.dependencies.length > 0 ? [['uv', 'add', ...result.dependencies]] : []),
+    ...(result.devDependencies.length > 0 ? [['uv', 'add', '--dev', ...result.devDependencies]] : []),
+  ].map(command => withUvNetworkArgs(command, networkArgs))
+  const featureCommands = result.commands.map(command => withUvNetworkArgs(command, networkArgs))
+  const commands = []
+  let pending = []
+  try {
+    if (options.install && (dependencyCommands.length > 0 || featureCommands.length > 0)) {
+      const uv = findUv({ uvPath: options.uvPath, cwd: options.cwd, runner })
+      if (!uv) {
+        throw new UsageError(t('add.uvMissing'))
+      }
+      const executable = command => (command === 'uv' ? uv : command)
+      for (const command of dependencyCommands) {
+        logger.start('add', t('add.running', { command: command.join(' ') }), { command, cwd: dir })
+        runner(executable(command[0]), command.slice(1), { cwd: dir })
+        logger.succeed(t('add.commandDone', { command: command.join(' ') }))
+        touched.push('pyproject.toml')
+        commands.push({ command, status: 'done' })
+      }
+      // Los comandos de la feature (p. ej. instalar los hooks) no deshacen lo aplicado si fallan
+      for (const command of featureCommands) {
+        logger.start('command', t('add.running', { command: command.join(' ') }), { command, cwd: dir })
+        try {
+          runner(executable(command[0]), command.slice(1), { cwd: dir })
+          logger.succeed(t('add.commandDone', { command: command.join(' ') }))
+          commands.push({ command, status: 'done' })
+        } catch (error) {
+          logger.warn(t('add.commandFailed', { command: command.join(' ') }))
+          commands.push({ command, status: 'failed' })
+        }
+      }
+    } else if (dependencyCommands.length > 0 || featureCommands.length > 0) {
+      logger.info(t('add.installSkipped'))
+      pending = [...dependencyCommands, ...featureCommands]
+    }
+  } finally {
+    // El registro se guarda también si falla un comando, para poder revisar su salida
+    saveCommandLog(runner, dir)
+  }
+
+  // Registrar la feature y los archivos escritos en el lockfile, si el proyecto lo tiene
+  const lock = readLockfile(dir)
+  if (lock) {
+    updateLockfile(dir, touched, { features: [...new Set([...(lock.features || []), feature])] })
+  }
+
+  return {
+    feature,
+    description: result.description,
+    dir,
+    written: result.written,
+    skipped: result.skipped,
+    settings: result.settings,
+    commands,
+    pending,
+  }
+}
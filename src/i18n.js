@@ -0,0 +1,69 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import { UsageError } from './errors.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Catálogos de mensajes de la CLI (src/locales/<idioma>.json). Los dos deben tener las mismas claves.
+export const SUPPORTED_LANGUAGES = ['en', 'es']
+export const DEFAULT_LANGUAGE = 'es'
+
+const catalogs = new Map()
+let currentLanguage = DEFAULT_LANGUAGE
+
+export function loadCatalog(lang) {
+  if (!catalogs.has(lang)) {
+    catalogs.set(lang, JSON.parse(fs.readFileSync(path.join(__dirname, 'locales', `${lang}.json`), 'utf8')))
+  }
+  return catalogs.get(lang)
+}
+
+// Valor de --lang si está (también como --lang=xx en `argv`), o el idioma del locale (LC_ALL, LC_MESSAGES, LANG).
+// Un locale sin idioma (C, POSIX) usa el idioma por defecto y uno no soportado, inglés.
+export function detectLanguage({ lang, argv = [], env = process.env } = {}) {
+  let requested = lang
+  for (let i = 0; requested === undefined && i < argv.length; i++) {
+    if (argv[i] === '--lang') requested = argv[i + 1]
+    else if (argv[i].startsWith('--lang=')) requested = argv[i].slice('--lang='.length)
+  }
+  if (requested !== undefined) {
+    if (!SUPPORTED_LANGUAGES.includes(requested)) {
+      throw new UsageError(
+        t('i18n.unknownLanguage', { lang: requested, available: SUPPORTED_LANGUAGES.join(', ') }, requested),
+      )
+    }
+    return requested
+  }
+
+  const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || ''
+  const language = locale.toLowerCase().match(/^[a-z]{2,3}(?=$|[_.@-])/)
+  if (!language || locale === 'C' || locale === 'POSIX') return DEFAULT_LANGUAGE
+  return SUPPORTED_LANGUAGES.includes(language[0]) ? language[0] : 'en'
+}
+
+export function setLanguage(lang) {
+  loadCatalog(lang)
+  currentLanguage = lang
+}
+
+export function getLanguage() {
+  return currentLanguage
+}
+
+// Mensaje `key` ("seccion.clave") del catálogo del idioma actual con los {parámetros} sustituidos
+export function t(key, params = {}, lang = currentLanguage) {
+  const catalog = loadCatalog(SUPPORTED_LANGUAGES.includes(lang) ? lang : 'en')
+  const message = key
+    .split('.')
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog)
+  if (typeof message !== 'string') return key
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
+
+// Textos de los templates (descripciones de arquetipos, features y archivos): un string o { "en": ..., "es": ... }
+export function localize(value, lang = currentLanguage) {
+  if (!value || typeof value !== 'object') return value
+  return value[lang] || value[DEFAULT_LANGUAGE] || Object.values(value)[0]
+}
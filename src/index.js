@@ -0,0 +1,80 @@
+import * as path from 'path'
+import { generateProject, installFeature, planProject } from './generate.js'
+import { getLanguage, setLanguage, t } from './i18n.js'
+import { projectLanguage, readLockfile } from './lockfile.js'
+import { createTemplateStore, loadTakenNames, resolveFindLinks, resolveProjectOptions } from './options.js'
+import { createLogger } from './reporter.js'
+import { createCommandRunner } from './runner.js'
+
+// API programática: la CLI (bin/index.js) es una capa sobre estas funciones. Ninguna cambia de directorio ni termina
+// el proceso: las rutas relativas se resuelven desde `cwd`, el progreso se informa a `logger`, los comandos se
+// ejecutan con `runner` y los errores se lanzan con su tipo (UsageError, ConflictError...) y su `exitCode`.
+export { CommandError, ConflictError, EXIT_CODES, TemplateError, TomlError, UsageError } from './errors.js'
+export { createCommandRunner, createRecordingRunner } from './runner.js'
+
+// La API no lee archivos de configuración: todo llega en las opciones
+const NO_CONFIG = { values: {}, dirs: {} }
+
+// Sin `runner`, los comandos se ejecutan con createCommandRunner (tiempos máximos, reintentos y registro en
+// .create-python-modern.log) y los reintentos se informan al logger
+function defaultRunner(logger) {
+  return createCommandRunner({
+    onRetry: ({ command, attempt, retries, delay }) =>
+      logger.info(t('runner.retrying', { command: command.join(' '), attempt, retries, seconds: delay / 1000 })),
+  })
+}
+
+function prepareProject(options) {
+  const cwd = path.resolve(options.cwd || process.cwd())
+  if (options.lang) setLanguage(options.lang)
+  const templates = options.templates || createTemplateStore(options, NO_CONFIG, getLanguage(), cwd)
+  const takenNames = options.takenNames || loadTakenNames(options, NO_CONFIG, cwd)
+  return resolveProjectOptions(options.projectName, { ...options, takenNames }, { templates, cwd })
+}
+
+// Plan de un proyecto nuevo sin ejecutar ni escribir nada (lo que muestra --dry-run=json)
+export function renderTemplates(options = {}) {
+  return planProject(prepareProject(options))
+}
+
+// Genera un proyecto nuevo y devuelve el mismo resultado que --json, más `structure` y `runCommand` para el resumen.
+// `confirm(opciones resueltas)` puede cancelar la generación antes de ejecutar nada (status "cancelled").
+export async function createProject(options = {}) {
+  const resolved = prepareProject(options)
+  if (options.confirm && !(await options.confirm(resolved))) {
+    return { status: 'cancelled', exitCode: 0, projectName: resolved.projectName, projectPath: resolved.projectPath }
+  }
+  const logger = createLogger(options.logger)
+  return generateProject(resolved, {
+    logger,
+    runner: options.runner || defaultRunner(logger),
+    confirmUvInstall: options.confirmUvInstall,
+    resolveConflicts: options.resolveConflicts,
+    signal: options.signal,
+  })
+}
+
+// Aplica una feature al proyecto de `dir` e instala sus dependencias (salvo con `install: false`)
+export async function addFeature(dir, feature, options = {}) {
+  const cwd = path.resolve(options.cwd || process.cwd())
+  const projectDir = path.resolve(cwd, dir)
+  if (options.lang) setLanguage(options.lang)
+  const logger = createLogger(options.logger)
+  const templates =
+    options.templates ||
+    createTemplateStore(options, NO_CONFIG, projectLanguage(readLockfile(projectDir), options.lang), cwd)
+  return installFeature(
+    templates,
+    feature,
+    {
+      dir: projectDir,
+      cwd,
+      force: Boolean(options.force),
+      install: options.install !== false,
+      offline: Boolean(options.offline),
+      findLinks: resolveFindLinks(options.findLinks, cwd),
+      uvPath: options.uvPath,
+    },
+    { logger, runner: options.runner || defaultRunner(logger) },
+  )
+}
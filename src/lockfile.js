@@ -0,0 +1,120 @@
+import { createHash } from 'crypto'
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import { UsageError } from './errors.js'
+import { getLanguage, SUPPORTED_LANGUAGES, t } from './i18n.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const PACKAGE_JSON = path.resolve(__dirname, '../package.json')
+
+// Archivo que se guarda en la raíz de cada proyecto generado con los datos de la generación
+export const LOCKFILE_NAME = '.create-python-modern.json'
+const LOCKFILE_FORMAT = 1
+
+export function getToolVersion() {
+  return JSON.parse(fs.readFileSync(PACKAGE_JSON, 'utf8')).version
+}
+
+function sha256(content) {
+  return `sha256:${createHash('sha256').update(content).digest('hex')}`
+}
+
+export function fileChecksum(filePath) {
+  return sha256(fs.readFileSync(filePath))
+}
+
+function listFiles(dir, prefix = '') {
+  const files = []
+  const entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+  for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+    if (entry.name === '.git' || entry.name === 'node_modules') continue
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name
+    if (entry.isDirectory()) files.push(...listFiles(dir, relPath))
+    else if (entry.isFile()) files.push(relPath)
+  }
+  return files
+}
+
+// Hash del contenido de un pack de templates (rutas y contenido de todos sus archivos)
+export function hashDirectory(dir) {
+  const hash = createHash('sha256')
+  for (const file of listFiles(dir)) {
+    hash.update(`${file}\0`)
+    hash.update(fs.readFileSync(path.join(dir, file)))
+    hash.update('\0')
+  }
+  return `sha256:${hash.digest('hex')}`
+}
+
+export function describeTemplateLayers(templates) {
+  return templates.layers.map(layer => ({ name: layer.name, hash: hashDirectory(layer.dir) }))
+}
+
+function checksums(files, rootDir) {
+  const result = {}
+  for (const file of [...new Set(files)].sort()) {
+    const filePath = path.join(rootDir, file)
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      result[file] = fileChecksum(filePath)
+    }
+  }
+  return result
+}
+
+// Datos de la generación: versión de la herramienta, capas de templates usadas, opciones elegidas y el checksum de
+// cada archivo generado, para poder detectar después qué archivos cambió el usuario
+export function createLockfile({ templates, options, features = [], files, rootDir = '.' }) {
+  return {
+    format: LOCKFILE_FORMAT,
+    generator: 'create-python-modern',
+    version: getToolVersion(),
+    generatedAt: new Date().toISOString(),
+    templates: describeTemplateLayers(templates),
+    options,
+    features,
+    files: checksums(files, rootDir),
+  }
+}
+
+export function writeLockfile(rootDir, lock) {
+  fs.writeFileSync(path.join(rootDir, LOCKFILE_NAME), `${JSON.stringify(lock, null, 2)}\n`)
+}
+
+export function readLockfile(rootDir) {
+  const lockPath = path.join(rootDir, LOCKFILE_NAME)
+  if (!fs.existsSync(lockPath)) return null
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'))
+  } catch (error) {
+    throw new UsageError(t('lockfile.invalid', { path: lockPath, error: error.message }))
+  }
+}
+
+// Los documentos de un proyecto existente se mantienen en el idioma con el que se generó, salvo que se indique otro
+export function projectLanguage(lock, lang) {
+  if (lang) return lang
+  const locked = lock && lock.options && lock.options.lang
+  return SUPPORTED_LANGUAGES.includes(locked) ? locked : getLanguage()
+}
+
+// Actualiza los checksums de los archivos que la herramienta acaba de escribir (y los datos de `changes`)
+export function updateLockfile(rootDir, files, changes = {}) {
+  const lock = readLockfile(rootDir)
+  if (!lock) return null
+  const updated = { ...lock, ...changes, files: { ...lock.files, ...checksums(files, rootDir) } }
+  writeLockfile(rootDir, updated)
+  return updated
+}
+
+// Archivos generados que el usuario ha modificado o eliminado desde la última escritura de la herramienta
+export function findModifiedFiles(rootDir, lock) {
+  const modified = []
+  for (const [file, checksum] of Object.entries(lock.files || {})) {
+    const filePath = path.join(rootDir, file)
+    if (!fs.existsSync(filePath)) modified.push({ file, status: 'missing' })
+    else if (fileChecksum(filePath) !== checksum) modified.push({ file, status: 'modified' })
+  }
+  return modified
+}
@@ -0,0 +1,102 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import { UsageError } from './errors.js'
+import { t } from './i18n.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Palabras clave y módulos de la librería estándar de Python (keyword.kwlist y sys.stdlib_module_names, más el
+// paquete `test` de CPython y los módulos retirados en versiones que aún se soportan)
+const PYTHON_NAMES = JSON.parse(fs.readFileSync(path.join(__dirname, 'python-names.json'), 'utf8'))
+
+// Herramientas de empaquetado y las de desarrollo que instalan los templates (grupo dev de pyproject.extra.toml): un
+// proyecto con su nombre las taparía en el entorno virtual
+const RESERVED_NAMES = [
+  'bandit',
+  'mypy',
+  'pip',
+  'pre-commit',
+  'pytest',
+  'pytest-asyncio',
+  'pytest-cov',
+  'python',
+  'ruff',
+  'setuptools',
+  'uv',
+  'wheel',
+]
+
+// Nombre de distribución válido según PEP 508: letras, números, ".", "_" y "-", empezando y terminando por letra o
+// número. Al no admitir espacios ni caracteres de la shell, el nombre es seguro como argumento y como ruta.
+const NAME_RE = /^([A-Z0-9]|[A-Z0-9][A-Z0-9._-]*[A-Z0-9])$/i
+
+// Nombre normalizado según PEP 503, para comparar paquetes
+export function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-')
+}
+
+// Nombre del paquete de un requisito como "mkdocstrings[python]>=0.24"
+export function requirementName(requirement) {
+  return requirement.split(/[\s<>=!~;[]/)[0]
+}
+
+// Nombre de importación del paquete, derivado como lo hace uv: el nombre normalizado con "_" en lugar de "-"
+export function importName(name) {
+  return normalizeName(name).replace(/-/g, '_')
+}
+
+// Nombres ocupados de una lista local (p. ej. un volcado del índice simple de PyPI): uno por línea, ignorando las
+// líneas vacías y los comentarios con "#"
+export function readNameList(file) {
+  let content
+  try {
+    content = fs.readFileSync(file, 'utf8')
+  } catch (error) {
+    throw new UsageError(t('naming.listUnreadable', { path: file, error: error.message }))
+  }
+  return new Set(
+    content
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*/, '').trim())
+      .filter(Boolean)
+      .map(normalizeName),
+  )
+}
+
+// Motivo por el que un nombre no sirve como proyecto, o null si es válido. `takenNames` son los nombres ocupados
+// de la lista local y `dependencies`, los requisitos del propio proyecto (uv no admite depender de sí mismo).
+export function projectNameProblem(input, { takenNames = new Set(), dependencies = [] } = {}) {
+  if (!NAME_RE.test(input)) {
+    return t('naming.format')
+  }
+  const name = normalizeName(input)
+  const module = importName(input)
+  if (/^\d/.test(module)) {
+    return t('naming.digit', { module })
+  }
+  if (PYTHON_NAMES.keywords.includes(module)) {
+    return t('naming.keyword', { module })
+  }
+  if (PYTHON_NAMES.stdlib.includes(module)) {
+    return t('naming.stdlib', { module })
+  }
+  if (RESERVED_NAMES.includes(name)) {
+    return t('naming.reserved', { name })
+  }
+  const dependency = dependencies.find(dep => normalizeName(requirementName(dep)) === name)
+  if (dependency) {
+    return t('naming.dependency', { dependency })
+  }
+  if (takenNames.has(name)) {
+    return t('naming.taken', { name })
+  }
+  return null
+}
+
+// Nombres derivados de un nombre válido: el de distribución (PEP 503, también el del directorio y el de
+// [project].name), el de importación y el que se muestra, tal como lo escribió el usuario
+export function projectNames(input) {
+  return { distribution: normalizeName(input), module: importName(input), display: input }
+}
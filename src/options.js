@@ -0,0 +1,209 @@
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { UsageError } from './errors.js'
+import { getLanguage, t } from './i18n.js'
+import { projectNameProblem, projectNames, readNameList } from './naming.js'
+import { DEFAULT_PYTHON_VERSION, validatePythonVersion } from './python-version.js'
+import { resolveTemplatePack, TemplateStore } from './templates.js'
+import { isCI } from './verify.js'
+
+export const DEFAULT_ARCHETYPE = 'app'
+
+// Features que forman parte de la generación base: se desactivan con --no-claude y --no-precommit
+export const BASE_FEATURES = { claude: 'claude', 'pre-commit': 'precommit' }
+
+export const EMAIL_RE = /^[^\s@"]+@[^\s@"]+\.[^\s@"]+$/
+
+export function parseDependencyList(value) {
+  return value
+    .split(',')
+    .map(dep => dep.trim())
+    .filter(Boolean)
+}
+
+// Valor de una opción de lista: texto separado por comas (línea de comandos, entorno) o array (configuración, API)
+export function listValue(value) {
+  return Array.isArray(value) ? value : parseDependencyList(value || '')
+}
+
+// Argumentos de red para todos los comandos de uv: con --offline uv no accede a la red y, si hay --find-links,
+// solo resuelve desde esos directorios o URLs (sin índice)
+export function uvNetworkArgs({ offline, findLinks }) {
+  const args = offline ? ['--offline'] : []
+  if (offline && findLinks.length > 0) args.push('--no-index')
+  for (const link of findLinks) args.push('--find-links', link)
+  return args
+}
+
+export function withUvNetworkArgs([command, ...args], networkArgs) {
+  return command === 'uv' ? [command, args[0], ...networkArgs, ...args.slice(1)] : [command, ...args]
+}
+
+export function resolveFindLinks(findLinks = [], cwd = process.cwd()) {
+  return findLinks.map(link => {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(link)) return link
+    const linkPath = path.resolve(cwd, link)
+    if (!fs.existsSync(linkPath)) {
+      throw new UsageError(t('errors.findLinksMissing', { path: linkPath }))
+    }
+    return linkPath
+  })
+}
+
+export function formatCommand(command) {
+  return command.map(arg => (/[^\w@%+=:,./-]/.test(arg) ? `"${arg}"` : arg)).join(' ')
+}
+
+// Packs de templates: --template tiene prioridad sobre la clave "template" del archivo de configuración
+export function createTemplateStore(options, config, lang = getLanguage(), cwd = process.cwd()) {
+  const packs = []
+  if (options.template) {
+    packs.push(resolveTemplatePack(options.template, cwd))
+  } else if (config.values.template) {
+    packs.push(resolveTemplatePack(config.values.template, config.dirs.template))
+  }
+  return new TemplateStore(packs, { lang })
+}
+
+// Lista local de nombres ocupados: --name-list tiene prioridad sobre la clave "nameList" del archivo de configuración
+export function loadTakenNames(options, config, cwd = process.cwd()) {
+  const [file, baseDir] = options.nameList ? [options.nameList, cwd] : [config.values.nameList, config.dirs.nameList]
+  if (!file) return new Set()
+  const expanded = file.startsWith('~') ? path.join(os.homedir(), file.slice(1)) : file
+  return readNameList(path.resolve(baseDir, expanded))
+}
+
+// Valida las opciones de un proyecto nuevo (las de la CLI, en camelCase) y calcula todo lo que necesita la
+// generación: nombres, rutas, dependencias y features. Las rutas relativas se resuelven desde `cwd`.
+export function resolveProjectOptions(projectName, options, { templates, cwd = process.cwd() }) {
+  if (!projectName) {
+    throw new UsageError(t('errors.missingProjectName'))
+  }
+
+  const dir = path.resolve(cwd, options.dir || '.')
+  if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+    throw new UsageError(t('errors.dirNotDirectory', { path: dir }))
+  }
+
+  const python = validatePythonVersion(options.python || DEFAULT_PYTHON_VERSION)
+
+  const type = options.type || DEFAULT_ARCHETYPE
+  const archetypes = templates.listArchetypes()
+  if (!archetypes.includes(type)) {
+    throw new UsageError(t('errors.unknownType', { type, available: archetypes.join(', ') }))
+  }
+  const archetype = templates.readArchetype(type)
+
+  const availableFeatures = templates.listFeatures()
+  const features = [...new Set(listValue(options.features))].filter(name => !(name in BASE_FEATURES))
+  for (const name of features) {
+    if (!availableFeatures.includes(name)) {
+      throw new UsageError(t('features.unknown', { name, available: availableFeatures.join(', ') }))
+    }
+  }
+  const featureDefinitions = features.map(name => templates.readFeature(name))
+
+  // --deps reemplaza las dependencias por defecto del arquetipo; las adicionales (configuración o asistente) y las
+  // de las features se añaden a ellas
+  const baseDependencies =
+    options.deps === undefined
+      ? [...(archetype.dependencies || []), ...listValue(options.extraDependencies)]
+      : listValue(options.deps)
+  const dependencies = [
+    ...new Set([...baseDependencies, ...featureDefinitions.flatMap(feature => feature.dependencies || [])]),
+  ]
+  const devDependencies = [
+    ...new Set([
+      ...(archetype.devDependencies || []),
+      ...featureDefinitions.flatMap(feature => feature.devDependencies || []),
+      ...listValue(options.devDeps),
+    ]),
+  ]
+  for (const dep of [...dependencies, ...devDependencies]) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*(\[[A-Za-z0-9._,-]+\])?([<>=!~]=?[A-Za-z0-9.*+,<>=!~-]+)?$/.test(dep)) {
+      throw new UsageError(t('errors.invalidDependency', { dependency: dep }))
+    }
+  }
+
+  // "." genera el proyecto en el propio directorio (--dir o el actual); el nombre sale del directorio o de --name.
+  // El directorio y [project].name usan el nombre normalizado, y el paquete, su nombre de importación.
+  const inCurrentDir = projectName === '.'
+  const name = inCurrentDir ? options.name || path.basename(dir) : projectName
+  const nameProblem = projectNameProblem(name, {
+    takenNames: options.takenNames,
+    dependencies: [...dependencies, ...devDependencies],
+  })
+  if (nameProblem) {
+    const hint = inCurrentDir && !options.name ? t('errors.projectNameHint') : ''
+    throw new UsageError(t('errors.invalidProjectName', { name, reason: nameProblem, hint }))
+  }
+  const names = projectNames(name)
+  const projectPath = inCurrentDir ? dir : path.join(dir, names.distribution)
+  if (fs.existsSync(projectPath) && !fs.statSync(projectPath).isDirectory()) {
+    throw new UsageError(t('errors.projectPathNotDirectory', { path: projectPath }))
+  }
+
+  if (options.description !== undefined && /[\n\r]/.test(options.description)) {
+    throw new UsageError(t('errors.invalidDescription'))
+  }
+  if (options.author !== undefined && (!options.author.trim() || /[\n\r]/.test(options.author))) {
+    throw new UsageError(t('errors.invalidAuthor'))
+  }
+  if (options.email !== undefined && !EMAIL_RE.test(options.email)) {
+    throw new UsageError(t('errors.invalidEmail', { email: options.email }))
+  }
+  if (
+    options.license !== undefined &&
+    !/^\(?[A-Za-z0-9.+-]+\)?( (AND|OR|WITH) \(?[A-Za-z0-9.+-]+\)?)*$/.test(options.license)
+  ) {
+    throw new UsageError(t('errors.invalidLicense', { license: options.license }))
+  }
+
+  // Las comprobaciones de --verify se ejecutan en el entorno instalado
+  const install = options.install !== false
+  if (options.verify && !install) {
+    throw new UsageError(t('errors.verifyNeedsInstall'))
+  }
+
+  if (options.uvVersion !== undefined && !/^\d+\.\d+\.\d+$/.test(options.uvVersion)) {
+    throw new UsageError(t('errors.invalidUvVersion', { version: options.uvVersion }))
+  }
+  if (options.uvSha256 !== undefined && !/^[0-9a-fA-F]{64}$/.test(options.uvSha256)) {
+    throw new UsageError(t('errors.invalidUvSha256'))
+  }
+
+  return {
+    projectName: names.distribution,
+    displayName: names.display,
+    projectPath,
+    // En un directorio que ya existe se genera en el sitio, resolviendo los conflictos con lo que contiene
+    inPlace: fs.existsSync(projectPath),
+    templates,
+    type,
+    python,
+    dependencies,
+    devDependencies,
+    features,
+    description: options.description,
+    author: options.author,
+    email: options.email,
+    license: options.license,
+    licenseFile: Boolean(options.license && templates.resolve(`licenses/${options.license}.template`)),
+    precommit: options.precommit !== false,
+    claude: options.claude !== false,
+    install,
+    // Sin --verify ni --no-verify, las comprobaciones se ejecutan en CI (salvo con --no-install)
+    verify: options.verify === undefined ? isCI() && install : Boolean(options.verify),
+    offline: Boolean(options.offline),
+    findLinks: resolveFindLinks(options.findLinks, cwd),
+    uvPath: options.uvPath,
+    installUv: Boolean(options.installUv),
+    uvVersion: options.uvVersion,
+    uvSha256: options.uvSha256,
+    keepOnFailure: Boolean(options.keepOnFailure),
+    force: Boolean(options.force),
+    dir,
+    cwd,
+  }
+}
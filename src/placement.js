@@ -0,0 +1,123 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { unifiedDiff } from './diff.js'
+import { t } from './i18n.js'
+
+// Colocación de un proyecto generado en un directorio que ya existe (p. ej. `create-python-modern .`): se compara
+// el árbol generado con el destino antes de escribir nada, cada conflicto se resuelve por separado y todo lo
+// escrito queda registrado para poder deshacerlo.
+
+export const RESOLUTIONS = ['skip', 'overwrite', 'new']
+
+// Archivos y directorios (también los vacíos, como los de .git) de un árbol, con rutas relativas
+export function listTree(dir, prefix = '', tree = { files: [], dirs: [] }) {
+  const entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+  for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name
+    if (entry.isDirectory()) {
+      tree.dirs.push(relPath)
+      listTree(dir, relPath, tree)
+    } else {
+      tree.files.push(relPath)
+    }
+  }
+  return tree
+}
+
+function isText(buffer) {
+  return !buffer.includes(0)
+}
+
+// Archivos generados en `sourceDir` que ya existen en `targetDir` con otro contenido (conflictos) y los que no
+// existen (nuevos). Los idénticos se ignoran.
+export function planPlacement(sourceDir, targetDir) {
+  const tree = listTree(sourceDir)
+  const plan = { dirs: tree.dirs, files: [], conflicts: [] }
+  for (const file of tree.files) {
+    const targetPath = path.join(targetDir, file)
+    if (!fs.existsSync(targetPath)) {
+      plan.files.push(file)
+      continue
+    }
+    const generated = fs.readFileSync(path.join(sourceDir, file))
+    if (fs.statSync(targetPath).isDirectory()) {
+      throw new Error(t('placement.targetIsDirectory', { file }))
+    }
+    const existing = fs.readFileSync(targetPath)
+    if (existing.equals(generated)) continue
+    plan.conflicts.push({
+      file,
+      diff:
+        isText(existing) && isText(generated)
+          ? unifiedDiff(existing.toString('utf8'), generated.toString('utf8'), {
+              fromFile: `a/${file}`,
+              toFile: `b/${file}`,
+            })
+          : '',
+    })
+  }
+  return plan
+}
+
+function ensureParent(filePath, journal) {
+  const missing = []
+  for (let dir = path.dirname(filePath); !fs.existsSync(dir); dir = path.dirname(dir)) missing.unshift(dir)
+  for (const dir of missing) {
+    fs.mkdirSync(dir)
+    journal.createdDirs.push(dir)
+  }
+}
+
+// Mueve los archivos generados al destino según `resolutions` ({ archivo: 'skip' | 'overwrite' | 'new' }). Los
+// archivos que se sobrescriben se copian antes a `backupDir`. Devuelve el registro para revertPlacement.
+export function applyPlacement(plan, resolutions, { sourceDir, targetDir, backupDir }) {
+  const journal = { targetDir, backupDir, created: [], overwritten: [], createdDirs: [], kept: [], renamed: [] }
+  const move = (file, destination) => {
+    const destPath = path.join(targetDir, destination)
+    ensureParent(destPath, journal)
+    fs.renameSync(path.join(sourceDir, file), destPath)
+  }
+
+  for (const dir of plan.dirs) {
+    const dirPath = path.join(targetDir, dir)
+    if (!fs.existsSync(dirPath)) {
+      fs.mkdirSync(dirPath)
+      journal.createdDirs.push(dirPath)
+    }
+  }
+  for (const file of plan.files) {
+    move(file, file)
+    journal.created.push(file)
+  }
+  for (const { file } of plan.conflicts) {
+    const resolution = resolutions[file]
+    if (resolution === 'overwrite') {
+      const backupPath = path.join(backupDir, file)
+      fs.mkdirSync(path.dirname(backupPath), { recursive: true })
+      fs.copyFileSync(path.join(targetDir, file), backupPath)
+      journal.overwritten.push(file)
+      move(file, file)
+    } else if (resolution === 'new') {
+      move(file, `${file}.new`)
+      journal.created.push(`${file}.new`)
+      journal.renamed.push(file)
+    } else {
+      journal.kept.push(file)
+    }
+  }
+  return journal
+}
+
+// Deja el destino como estaba antes de applyPlacement
+export function revertPlacement(journal) {
+  const { targetDir, backupDir } = journal
+  for (const file of journal.created) {
+    fs.rmSync(path.join(targetDir, file), { recursive: true, force: true })
+  }
+  for (const file of journal.overwritten) {
+    fs.copyFileSync(path.join(backupDir, file), path.join(targetDir, file))
+  }
+  for (const dir of [...journal.createdDirs].reverse()) {
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir)
+  }
+}
@@ -0,0 +1,72 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { TomlError } from './errors.js'
+import { t } from './i18n.js'
+import { findTomlProblems, mergeToml, setProjectScripts } from './pyproject.js'
+import { renderTemplate } from './template-engine.js'
+import { ensureDirSync } from './templates.js'
+
+// Contenido de los archivos del proyecto calculado en memoria a partir de los que ya existen (los que genera
+// uv init), sin tocar el disco: lo usan la generación y --dry-run. Devuelve { destino: contenido } con los
+// archivos que cambian, en el orden del manifiesto.
+export function renderProjectFiles(templates, archetype, manifest, existing) {
+  const files = {}
+  const current = file => (file in files ? files[file] : existing[file])
+
+  // Ajustar los entry points del pyproject.toml generado por uv init
+  if (existing['pyproject.toml'] !== undefined) {
+    files['pyproject.toml'] = setProjectScripts(existing['pyproject.toml'], archetype.scripts)
+  }
+
+  for (const entry of manifest.filter(item => item.strategy === 'append' || item.strategy === 'merge')) {
+    const existingConfig = (current(entry.destination) || '').trim()
+    const { content } = templates.readTemplate(entry.source)
+    const extraConfig = renderTemplate(content, entry.context, { name: entry.source }).trimStart()
+    if (entry.strategy === 'append') {
+      files[entry.destination] = (existingConfig ? existingConfig + '\n\n' : '') + extraConfig.trimEnd() + '\n'
+      continue
+    }
+
+    // "merge": combinar tabla a tabla con lo que generó uv init (pyproject.extra.toml) y validar el resultado
+    const { text } = mergeToml(existingConfig, extraConfig, entry.merge)
+    const [problem] = findTomlProblems(text)
+    if (problem) {
+      throw new TomlError(
+        t('templates.invalidMerge', { file: entry.destination, template: entry.source, error: problem.message }),
+        {
+          file: entry.destination,
+          line: problem.line,
+          column: problem.column,
+        },
+      )
+    }
+    files[entry.destination] = text
+  }
+
+  // Archivos desde los templates declarados en el manifiesto (estrategia "write")
+  for (const entry of manifest) {
+    if (!entry.source || entry.strategy !== 'write') continue
+    if (!entry.overwrite && current(entry.destination) !== undefined) continue
+    const { content } = templates.readTemplate(entry.source)
+    files[entry.destination] = renderTemplate(content, entry.context, { name: entry.source })
+  }
+  return files
+}
+
+// Lee de `rootDir` los archivos que renderProjectFiles puede necesitar combinar o respetar
+export function readProjectFiles(rootDir, manifest) {
+  const existing = {}
+  for (const file of ['pyproject.toml', ...manifest.map(entry => entry.destination)]) {
+    const filePath = path.join(rootDir, file)
+    if (fs.existsSync(filePath)) existing[file] = fs.readFileSync(filePath, 'utf8')
+  }
+  return existing
+}
+
+export function writeProjectFiles(rootDir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(rootDir, file)
+    ensureDirSync(path.dirname(filePath))
+    fs.writeFileSync(filePath, content)
+  }
+}
@@ -0,0 +1,382 @@
+import { TomlError } from './errors.js'
+import { formatKey, formatValue, parse, parseLayout } from './toml.js'
+
+// Reemplaza la tabla [project.scripts] generada por uv init por los entry points del arquetipo. Si los scripts están
+// escritos como claves de [project] (`scripts = { ... }` o `scripts.x = ...`), se quitan de ahí.
+export function setProjectScripts(tomlText, scripts) {
+  const entries = Object.entries(scripts)
+  const table =
+    entries.length > 0
+      ? ['[project.scripts]', ...entries.map(([name, target]) => `${formatKey(name)} = ${formatValue(target)}`), '']
+      : []
+  const doc = scanTables(tomlText)
+  const lines = [...doc.lines]
+  const header = doc.tables.find(candidate => !candidate.array && samePath(candidate.path, ['project', 'scripts']))
+  if (header) {
+    // Los comentarios de encima solo se van con la tabla
+    const from = entries.length > 0 ? header.header : header.start
+    lines.splice(from, header.end - from + 1, ...table)
+    return lines.join('\n')
+  }
+
+  const keys = doc.tables
+    .filter(candidate => !candidate.array)
+    .flatMap(candidate =>
+      candidate.keys.filter(key => startsWith([...candidate.path, ...key.path], ['project', 'scripts'])),
+    )
+  for (const key of keys.sort((a, b) => b.start - a.start)) {
+    lines.splice(key.commentStart, key.end - key.commentStart + 1)
+  }
+  const text = lines.join('\n')
+  return entries.length > 0 ? `${text.trimEnd()}\n\n${table.join('\n')}` : text
+}
+
+function unquote(key) {
+  const trimmed = key.trim()
+  if ((trimmed.startsWith('"') && trimmed.endsWith('"')) || (trimmed.startsWith("'") && trimmed.endsWith("'"))) {
+    return trimmed.slice(1, -1)
+  }
+  return trimmed
+}
+
+function isBlankOrComment(line) {
+  const trimmed = line.trim()
+  return trimmed === '' || trimmed.startsWith('#')
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((part, index) => part === b[index])
+}
+
+function startsWith(path, prefix) {
+  return path.length >= prefix.length && prefix.every((part, index) => part === path[index])
+}
+
+// Clave de un Map para una ruta de claves (que pueden contener puntos)
+function pathId(path) {
+  return JSON.stringify(path)
+}
+
+// Primera línea de los comentarios pegados justo encima de `index`
+function commentStart(lines, index, floor) {
+  let start = index
+  while (start - 1 > floor && lines[start - 1].trim().startsWith('#')) start--
+  return start
+}
+
+// Divide un documento en tablas conservando el texto original, con las posiciones que da el parser de toml.js (un
+// "[x]" dentro de un string multilínea no es una cabecera). Cada tabla guarda su bloque completo (`start`-`end`,
+// incluidos los comentarios que la preceden) y cada clave sus líneas (`start`-`end`, arrays multilínea incluidos),
+// los comentarios que tiene justo encima (`commentStart`) y la columna de su "=". También devuelve el documento
+// parseado (`value`).
+function scanTables(text) {
+  const { value, layout } = parseLayout(text)
+  const lines = text.split('\n')
+  const lineStarts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1)
+  }
+  const lineOf = offset => {
+    let line = 0
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) line++
+    return line
+  }
+
+  const root = { name: '', path: [], array: false, header: -1, start: 0, end: lines.length - 1, keys: [] }
+  const tables = [root]
+  let current = root
+  for (const entry of layout) {
+    if (entry.type === 'table') {
+      const header = lineOf(entry.start)
+      const start = commentStart(
+        lines,
+        header,
+        current.keys.length > 0 ? current.keys[current.keys.length - 1].end : current.header,
+      )
+      current.end = start - 1
+      current = {
+        name: entry.path.join('.'),
+        path: entry.path,
+        array: entry.array,
+        header,
+        start,
+        end: lines.length - 1,
+        keys: [],
+      }
+      tables.push(current)
+      continue
+    }
+
+    const start = lineOf(entry.start)
+    const previousEnd = current.keys.length > 0 ? current.keys[current.keys.length - 1].end : current.header
+    current.keys.push({
+      key: entry.path.join('.'),
+      path: entry.path,
+      start,
+      end: lineOf(entry.end),
+      equals: entry.equals - lineStarts[start],
+      commentStart: commentStart(lines, start, previousEnd),
+    })
+  }
+  return { lines, tables, value }
+}
+
+// Errores que hacen inválido un documento TOML (según el parser de toml.js), como [{ line, column, message }]
+export function findTomlProblems(text) {
+  try {
+    parse(text)
+    return []
+  } catch (error) {
+    if (!(error instanceof TomlError)) throw error
+    return [{ line: error.line, column: error.column, message: error.reason }]
+  }
+}
+
+// Elementos de un array TOML tal como están escritos (con comillas), sin comentarios
+function splitArrayItems(valueText) {
+  const items = []
+  let depth = 0
+  let quote = null
+  let current = ''
+  for (let i = 0; i < valueText.length; i++) {
+    const char = valueText[i]
+    if (quote) {
+      current += char
+      if (char === '\\' && quote === '"') current += valueText[++i]
+      else if (char === quote) quote = null
+      continue
+    }
+    if (char === '#') {
+      while (i < valueText.length && valueText[i] !== '\n') i++
+      continue
+    }
+    if (char === '"' || char === "'") quote = char
+    if (char === '[' || char === '{') depth++
+    if (char === ']' || char === '}') depth--
+    if (depth === 0 && char === ']') break
+    if (depth === 1 && char === ',') {
+      if (current.trim()) items.push(current.trim())
+      current = ''
+    } else if (depth > 1 || (depth === 1 && char !== '[')) {
+      current += char
+    }
+  }
+  if (current.trim()) items.push(current.trim())
+  return items
+}
+
+// Clave con la que se comparan los elementos al unir arrays; en listas de dependencias, el nombre del paquete
+function itemIdentity(item, keyPath) {
+  const value = /^["']/.test(item) ? unquote(item) : item
+  if (/^(dependency-groups\.|project\.(dependencies$|optional-dependencies\.))/.test(keyPath)) {
+    return value
+      .split(/[\s<>=!~;[]/)[0]
+      .toLowerCase()
+      .replace(/[-_.]+/g, '-')
+  }
+  return value
+}
+
+// Añade al valor de una clave (array) los elementos de `extra`, respetando su formato en una o varias líneas
+function appendArrayItems(keyLines, extra) {
+  if (keyLines.length === 1) {
+    const [line] = keyLines
+    const assignment = line.slice(0, line.indexOf('=') + 1)
+    const valueText = line.slice(line.indexOf('=') + 1)
+    const trailing = line.slice(line.lastIndexOf(']') + 1)
+    return [`${assignment} [${[...splitArrayItems(valueText), ...extra].join(', ')}]${trailing}`]
+  }
+
+  const closing = keyLines.length - 1
+  const itemLines = keyLines.slice(1, closing).filter(line => !isBlankOrComment(line))
+  const indent = itemLines.length > 0 ? itemLines[0].match(/^\s*/)[0] : '    '
+  const result = [...keyLines.slice(0, closing)]
+  // El último elemento necesita coma antes de añadir más
+  for (let i = result.length - 1; i > 0; i--) {
+    if (isBlankOrComment(result[i])) continue
+    const match = result[i].match(/^(.*?)(\s*#.*)?$/)
+    if (!match[1].trimEnd().endsWith(',') && !match[1].trimEnd().endsWith('[')) {
+      result[i] = `${match[1].trimEnd()},${match[2] || ''}`
+    }
+    break
+  }
+  return [...result, ...extra.map(item => `${indent}${item},`), keyLines[closing]]
+}
+
+// Valor de una ruta en un documento parseado (en los arrays de tablas, la última), o undefined
+function lookup(value, path) {
+  let current = value
+  for (const part of path) {
+    if (Array.isArray(current)) current = current[current.length - 1]
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+      return undefined
+    }
+    current = current[part]
+  }
+  return current
+}
+
+// Dónde está escrita cada clave del documento y dónde se pueden añadir claves a cada tabla: en su cabecera o, si la
+// tabla se creó con claves con puntos (`lint.select = ...` en [tool.ruff], `tool.ruff.line-length = ...` en la
+// raíz), en la tabla que contiene esas claves, con el prefijo que les falta
+function indexTables(doc) {
+  const keys = new Map()
+  const owners = new Map()
+  for (const table of doc.tables) {
+    if (table.array) continue
+    if (!owners.has(pathId(table.path))) owners.set(pathId(table.path), { table, prefix: [] })
+    for (const key of table.keys) {
+      keys.set(pathId([...table.path, ...key.path]), { table, key })
+      for (let length = 1; length < key.path.length; length++) {
+        const path = [...table.path, ...key.path.slice(0, length)]
+        if (!owners.has(pathId(path))) owners.set(pathId(path), { table, prefix: key.path.slice(0, length) })
+      }
+    }
+  }
+  return { keys, owners }
+}
+
+// Las líneas de una clave con el nombre `path` en lugar del que tenían
+function renameKey(lines, key, path) {
+  const [first, ...rest] = lines
+  const indent = first.match(/^\s*/)[0]
+  return [`${indent}${path.map(formatKey).join('.')} ${first.slice(key.equals)}`, ...rest]
+}
+
+// Combina un fragmento TOML (p. ej. pyproject.extra.toml) con un documento existente sin perder sus comentarios ni
+// el orden de sus claves. Los dos se parsean y se comparan por rutas completas, así que da igual que una tabla esté
+// escrita con cabecera o con claves con puntos. Las tablas y claves que faltan se añaden con sus comentarios; para
+// las que ya existen, por defecto se conserva el valor actual, salvo las rutas de `rules.union` (arrays: se añaden
+// los elementos que falten) y de `rules.override` (gana el valor del fragmento). De [[arrays.de.tablas]] se añaden
+// las entradas cuya primera clave no esté ya presente. Devuelve el texto y las rutas añadidas, actualizadas y
+// conservadas.
+export function mergeToml(existingText, fragmentText, rules = {}) {
+  const union = new Set(rules.union || [])
+  const override = new Set(rules.override || [])
+  const target = scanTables(existingText)
+  const fragment = scanTables(fragmentText)
+  const index = indexTables(target)
+  const edits = []
+  const inserts = new Map()
+  const appended = []
+  const added = []
+  const updated = []
+  const kept = []
+
+  const fragmentBlock = table => {
+    const lines = fragment.lines.slice(table.start, table.end + 1)
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop()
+    return lines
+  }
+  const keyLines = (doc, key, withComments) => doc.lines.slice(withComments ? key.commentStart : key.start, key.end + 1)
+  const valueText = (doc, key) =>
+    keyLines(doc, key, false)
+      .join('\n')
+      .slice(key.equals + 1)
+  const normalize = lines => lines.map(line => line.trim()).join('')
+
+  for (const table of fragment.tables) {
+    if (table.header === -1 && table.keys.length === 0) continue
+
+    if (table.array) {
+      const identity = table.keys.length > 0 ? normalize(keyLines(fragment, table.keys[0], false)) : ''
+      const present = target.tables.some(
+        candidate =>
+          candidate.array &&
+          samePath(candidate.path, table.path) &&
+          (candidate.keys.length > 0 ? normalize(keyLines(target, candidate.keys[0], false)) : '') === identity,
+      )
+      if (present) {
+        kept.push(`[[${table.name}]]`)
+      } else {
+        appended.push(fragmentBlock(table))
+        added.push(`[[${table.name}]]`)
+      }
+      continue
+    }
+
+    // Una tabla que no existe se añade entera; si solo existe implícitamente, por sus subtablas, sin las claves que ya
+    // son una de ellas. Las tablas inline (`lint = { ... }`) no tienen dónde añadir claves: se conservan como están.
+    const owner = index.owners.get(pathId(table.path))
+    if (!owner && !index.keys.has(pathId(table.path))) {
+      const present = table.keys.filter(key => lookup(target.value, [...table.path, ...key.path]) !== undefined)
+      const missing = table.keys.filter(key => !present.includes(key))
+      kept.push(...present.map(key => [...table.path, ...key.path].join('.')))
+      if (present.length === 0) {
+        appended.push(fragmentBlock(table))
+      } else if (missing.length > 0) {
+        const header = fragment.lines.slice(table.start, table.header + 1)
+        appended.push([...header, ...missing.flatMap(key => keyLines(fragment, key, true))])
+      }
+      added.push(...missing.map(key => [...table.path, ...key.path].join('.')))
+      continue
+    }
+
+    for (const key of table.keys) {
+      const path = [...table.path, ...key.path]
+      const keyPath = path.join('.')
+      const existing = index.keys.get(pathId(path))
+      if (!existing) {
+        if (!owner || lookup(target.value, path) !== undefined) {
+          // Está en el documento como tabla con cabecera propia, o la tabla es inline
+          kept.push(keyPath)
+          continue
+        }
+        const lines = keyLines(fragment, key, true)
+        const commentLines = key.start - key.commentStart
+        const keyText = owner.prefix.length > 0 ? [...owner.prefix, ...key.path] : null
+        const renamed = keyText
+          ? [...lines.slice(0, commentLines), ...renameKey(lines.slice(commentLines), key, keyText)]
+          : lines
+        if (!inserts.has(owner.table)) inserts.set(owner.table, [])
+        inserts.get(owner.table).push(...renamed)
+        added.push(keyPath)
+      } else if (override.has(keyPath)) {
+        const current = keyLines(target, existing.key, false)
+        const replacement = keyLines(fragment, key, false)
+        if (normalize([valueText(fragment, key)]) === normalize([valueText(target, existing.key)])) {
+          kept.push(keyPath)
+        } else {
+          // Se conserva el nombre de la clave tal como está escrito en el documento
+          const [first, ...rest] = replacement
+          const lines = [`${current[0].slice(0, existing.key.equals)}${first.slice(key.equals)}`, ...rest]
+          edits.push({ at: existing.key.start, remove: current.length, lines })
+          updated.push(keyPath)
+        }
+      } else if (union.has(keyPath)) {
+        const current = keyLines(target, existing.key, false)
+        const identities = new Set(
+          splitArrayItems(valueText(target, existing.key)).map(item => itemIdentity(item, keyPath)),
+        )
+        const extra = splitArrayItems(valueText(fragment, key)).filter(
+          item => !identities.has(itemIdentity(item, keyPath)),
+        )
+        if (extra.length === 0) {
+          kept.push(keyPath)
+        } else {
+          edits.push({ at: existing.key.start, remove: current.length, lines: appendArrayItems(current, extra) })
+          updated.push(keyPath)
+        }
+      } else {
+        kept.push(keyPath)
+      }
+    }
+  }
+
+  for (const [table, lines] of inserts) {
+    const last = table.keys.length > 0 ? table.keys[table.keys.length - 1].end : table.header
+    edits.push({ at: last + 1, remove: 0, lines })
+  }
+
+  // Aplicar de abajo arriba para que los índices sigan siendo válidos
+  const lines = [...target.lines]
+  for (const edit of edits.sort((a, b) => b.at - a.at || a.remove - b.remove)) {
+    lines.splice(edit.at, edit.remove, ...edit.lines)
+  }
+
+  let text = lines.join('\n').trimEnd()
+  for (const block of appended) {
+    text += `\n\n${block.join('\n')}`
+  }
+  return { text: `${text}\n`, added, updated, kept }
+}
@@ -0,0 +1,37 @@
+import { UsageError } from './errors.js'
+import { t } from './i18n.js'
+
+// Versiones de Python para las que los templates generan configuración (ruff, mypy, CI, Docker)
+export const SUPPORTED_PYTHON_VERSIONS = ['3.10', '3.11', '3.12', '3.13', '3.14']
+export const DEFAULT_PYTHON_VERSION = '3.12'
+
+function minorVersion(version) {
+  const match = String(version).match(/^(\d+)\.(\d+)/)
+  return match ? [Number(match[1]), Number(match[2])] : null
+}
+
+// Valida una versión "3.12" o "3.12.4" de --python; solo se admiten las versiones menores soportadas
+export function validatePythonVersion(version) {
+  if (!/^\d+\.\d+(\.\d+)?$/.test(version)) {
+    throw new UsageError(t('python.invalid', { version }))
+  }
+  if (!SUPPORTED_PYTHON_VERSIONS.includes(minorVersion(version).join('.'))) {
+    throw new UsageError(t('python.unsupported', { version, supported: SUPPORTED_PYTHON_VERSIONS.join(', ') }))
+  }
+  return version
+}
+
+// Variables de los templates derivadas de la versión de Python del proyecto: la versión menor (requires-python,
+// mypy, Docker), el target de ruff y las versiones de la matriz de CI (la del proyecto y las soportadas posteriores)
+export function pythonContext(version = DEFAULT_PYTHON_VERSION) {
+  const [major, minor] = minorVersion(version) || minorVersion(DEFAULT_PYTHON_VERSION)
+  const newer = SUPPORTED_PYTHON_VERSIONS.filter(supported => {
+    const [supportedMajor, supportedMinor] = minorVersion(supported)
+    return supportedMajor === major && supportedMinor > minor
+  })
+  return {
+    python_version: `${major}.${minor}`,
+    python_target: `py${major}${minor}`,
+    python_versions: [`${major}.${minor}`, ...newer],
+  }
+}
@@ -0,0 +1,130 @@
+import ora from 'ora'
+import { UsageError } from './errors.js'
+import { t } from './i18n.js'
+
+// Salida de la generación. "pretty" es la salida para personas (spinner de ora, que se desactiva si stdout no es
+// una terminal); "json" y "ndjson" emiten eventos estructurados por paso (started, succeeded, warned, failed, info)
+// con su duración y comando, más un resultado final: "json" lo escribe todo en un único objeto al terminar y
+// "ndjson" escribe cada evento en una línea según ocurre.
+export const REPORTERS = ['pretty', 'json', 'ndjson']
+
+export function createReporter(format = 'pretty', { stream = process.stdout } = {}) {
+  if (!REPORTERS.includes(format)) {
+    throw new UsageError(t('reporter.unknown', { format, available: REPORTERS.join(', ') }))
+  }
+  return format === 'pretty' ? new PrettyReporter(stream) : new JsonReporter(stream, { ndjson: format === 'ndjson' })
+}
+
+class PrettyReporter {
+  constructor(stream) {
+    this.format = 'pretty'
+    this.spinner = ora(stream.isTTY ? {} : { isEnabled: false })
+  }
+
+  // Empieza un paso; `step` es el identificador estable del paso para las salidas estructuradas
+  start(step, text) {
+    this.spinner.start(text)
+  }
+
+  succeed(text) {
+    this.spinner.succeed(text)
+  }
+
+  warn(text) {
+    this.spinner.warn(text)
+  }
+
+  fail(text) {
+    this.spinner.fail(text)
+  }
+
+  info(text) {
+    this.spinner.info(text)
+  }
+
+  // Para preguntas interactivas: el spinner no debe escribir mientras inquirer usa la terminal
+  pause() {
+    this.spinner.stop()
+  }
+
+  resume() {
+    this.spinner.start()
+  }
+
+  log(text = '') {
+    console.log(text)
+  }
+
+  finish() {}
+}
+
+class JsonReporter {
+  constructor(stream, { ndjson }) {
+    this.format = ndjson ? 'ndjson' : 'json'
+    this.stream = stream
+    this.events = []
+    this.current = null
+  }
+
+  emit(event) {
+    const entry = { event: event.event, timestamp: new Date().toISOString(), ...event }
+    this.events.push(entry)
+    if (this.format === 'ndjson') this.stream.write(`${JSON.stringify(entry)}\n`)
+  }
+
+  // `command` es { command: [...], cwd } cuando el paso ejecuta un comando
+  start(step, text, command = null) {
+    this.current = { step, startedAt: Date.now(), ...(command ? { command: command.command, cwd: command.cwd } : {}) }
+    this.emit({ event: 'started', step, message: text, ...(command || {}) })
+  }
+
+  end(event, text) {
+    const current = this.current || { step: null }
+    this.current = null
+    const { startedAt, ...details } = current
+    this.emit({ event, ...details, message: text, ...(startedAt ? { durationMs: Date.now() - startedAt } : {}) })
+  }
+
+  succeed(text) {
+    this.end('succeeded', text)
+  }
+
+  warn(text) {
+    this.end('warned', text)
+  }
+
+  fail(text) {
+    this.end('failed', text)
+  }
+
+  info(text) {
+    this.emit({ event: 'info', step: this.current ? this.current.step : null, message: text })
+  }
+
+  pause() {}
+
+  resume() {}
+
+  log() {}
+
+  finish(result) {
+    if (this.format === 'ndjson') {
+      this.emit({ event: 'result', ...result })
+    } else {
+      this.stream.write(`${JSON.stringify({ ...result, events: this.events }, null, 2)}\n`)
+    }
+  }
+}
+
+const LOGGER_METHODS = ['start', 'succeed', 'warn', 'fail', 'info', 'pause', 'resume', 'log']
+
+// Logger de la API programática: cualquier objeto con algunos de los métodos de los reporters (un reporter sirve tal
+// cual); los que no tenga no hacen nada
+export function createLogger(logger = {}) {
+  return Object.fromEntries(
+    LOGGER_METHODS.map(method => [
+      method,
+      typeof logger[method] === 'function' ? logger[method].bind(logger) : () => {},
+    ]),
+  )
+}
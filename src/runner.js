@@ -0,0 +1,158 @@
+import { spawnSync } from 'child_process'
+import * as fs from 'fs'
+import * as path from 'path'
+import { CommandError } from './errors.js'
+import { t } from './i18n.js'
+import { formatCommand } from './options.js'
+
+// Registro de los comandos ejecutados (con su salida completa), en la raíz del proyecto
+export const COMMAND_LOG_NAME = '.create-python-modern.log'
+
+const MINUTE = 60 * 1000
+const OUTPUT_TAIL_LINES = 20
+const MAX_BUFFER = 64 * 1024 * 1024
+const RETRY_DELAYS = [2000, 5000]
+
+// Tiempo máximo y reintentos de cada comando. Los de uv se identifican por su subcomando: solo los que resuelven o
+// descargan paquetes se reintentan. `uv run` (pre-commit y las comprobaciones de --verify) no, porque sus fallos no
+// son transitorios.
+export const COMMAND_POLICIES = {
+  'uv init': { timeout: 2 * MINUTE, retries: 0 },
+  'uv add': { timeout: 10 * MINUTE, retries: 2 },
+  'uv sync': { timeout: 15 * MINUTE, retries: 2 },
+  'uv run': { timeout: 10 * MINUTE, retries: 0 },
+  'npm pack': { timeout: 2 * MINUTE, retries: 1 },
+  git: { timeout: 10 * 1000, retries: 0 },
+  default: { timeout: 5 * MINUTE, retries: 0 },
+}
+
+// Errores de red o del índice de paquetes, que pueden desaparecer al repetir el comando. Con --offline no hay red
+// que reintentar: uv falla con "network access is disabled" cuando falta un paquete en la caché.
+const TRANSIENT_RE =
+  /(timed out|connection (reset|refused|closed|aborted)|network (error|is unreachable)|temporary failure|temporarily unavailable|error sending request|failed to (download|fetch)|dns error|status code:? (429|5\d\d)|server error|too many requests)/i
+
+export function commandPolicy(file, args) {
+  const name = path.basename(file).replace(/\.exe$/i, '')
+  return COMMAND_POLICIES[`${name} ${args[0]}`] || COMMAND_POLICIES[name] || COMMAND_POLICIES.default
+}
+
+// En Windows npm es npm.cmd, un script que Node solo ejecuta a través de la shell (desde la corrección del
+// CVE-2024-27980); los argumentos se pasan entre comillas para que la shell no los interprete
+export function platformCommand(file, args, platform = process.platform) {
+  if (platform !== 'win32' || file !== 'npm') return { file, args, shell: false }
+  const quote = arg => (/^[\w.,:/\\@=+-]+$/.test(arg) ? arg : `"${arg.replace(/"/g, '""')}"`)
+  return { file: 'npm.cmd', args: args.map(quote), shell: true }
+}
+
+// Espera entre reintentos; síncrona porque los comandos también lo son
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+}
+
+function outputTail(output) {
+  return output.trimEnd().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n')
+}
+
+// Ejecuta un comando con el tiempo máximo y los reintentos de su política (o los de `timeout` y `retries`) y devuelve
+// su salida estándar. Si falla, lanza un CommandError cuyo mensaje incluye el final de la salida de error.
+// `onAttempt` recibe cada intento con su salida completa y `onRetry`, cada reintento antes de la espera.
+export function runCommand(
+  file,
+  args,
+  { cwd, timeout, retries, onAttempt = () => {}, onRetry = () => {}, wait = sleep } = {},
+) {
+  const policy = commandPolicy(file, args)
+  const limit = timeout === undefined ? policy.timeout : timeout
+  const maxRetries = args.includes('--offline') ? 0 : retries === undefined ? policy.retries : retries
+  const command = [path.basename(file), ...args]
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = new Date()
+    const spawn = platformCommand(file, args)
+    const result = spawnSync(spawn.file, spawn.args, {
+      cwd,
+      encoding: 'utf8',
+      timeout: limit,
+      maxBuffer: MAX_BUFFER,
+      shell: spawn.shell,
+    })
+    if (result.error && result.error.code === 'ENOENT') {
+      throw new CommandError(t('runner.notFound', { file }), { command })
+    }
+    const entry = {
+      command,
+      cwd,
+      attempt,
+      startedAt: startedAt.toISOString(),
+      durationMs: Date.now() - startedAt.getTime(),
+      status: result.status,
+      signal: result.signal,
+      timedOut: Boolean(result.error && result.error.code === 'ETIMEDOUT'),
+      stdout: result.stdout || '',
+      stderr: result.stderr || '',
+    }
+    onAttempt(entry)
+    if (entry.status === 0) return entry.stdout
+
+    const transient = !entry.timedOut && TRANSIENT_RE.test(entry.stderr)
+    if (transient && attempt <= maxRetries) {
+      const delay = RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length) - 1]
+      onRetry({ command, attempt, retries: maxRetries, delay })
+      wait(delay)
+      continue
+    }
+
+    const text = formatCommand(command)
+    const head = entry.timedOut
+      ? t('runner.timedOut', { command: text, seconds: limit / 1000 })
+      : entry.status === null
+        ? t('runner.killed', { command: text, signal: entry.signal })
+        : t('runner.failed', { command: text, status: entry.status })
+    const tail = outputTail(entry.stderr || entry.stdout)
+    throw new CommandError(
+      `${head}${attempt > 1 ? t('runner.attempts', { count: attempt }) : ''}${tail ? `:\n${tail}` : ''}`,
+      entry,
+    )
+  }
+}
+
+// Ejecutor por defecto de la generación: runCommand, guardando cada intento en `log` para saveCommandLog
+export function createCommandRunner({ onRetry } = {}) {
+  const log = []
+  const runner = (file, args, options = {}) =>
+    runCommand(file, args, { ...options, onRetry, onAttempt: entry => log.push(entry) })
+  runner.log = log
+  return runner
+}
+
+// Ejecutor que registra los comandos en `calls` sin ejecutarlos (devuelve una salida vacía) o pasándolos a
+// `delegate`; para los tests y para ver qué se ejecutaría
+export function createRecordingRunner(delegate = null) {
+  const calls = []
+  const runner = (file, args, options = {}) => {
+    calls.push({ command: [file, ...args], cwd: options.cwd })
+    return delegate ? delegate(file, args, options) : ''
+  }
+  runner.calls = calls
+  return runner
+}
+
+function formatLogEntry(entry) {
+  const result = entry.timedOut ? 'timeout' : entry.status === null ? `signal ${entry.signal}` : `exit ${entry.status}`
+  return [
+    `[${entry.startedAt}] $ ${formatCommand(entry.command)}`,
+    `cwd: ${entry.cwd}`,
+    `${result} (${entry.durationMs} ms${entry.attempt > 1 ? `, attempt ${entry.attempt}` : ''})`,
+    ...(entry.stdout ? ['--- stdout', entry.stdout.trimEnd()] : []),
+    ...(entry.stderr ? ['--- stderr', entry.stderr.trimEnd()] : []),
+    '',
+  ].join('\n')
+}
+
+// Añade a COMMAND_LOG_NAME en `dir` los comandos que ha ejecutado `runner` desde la última vez. Los ejecutores sin
+// `log` no dejan registro. Devuelve la ruta del registro o null.
+export function saveCommandLog(runner, dir) {
+  if (!runner.log || runner.log.length === 0) return null
+  const logPath = path.join(dir, COMMAND_LOG_NAME)
+  fs.appendFileSync(logPath, `${runner.log.splice(0).map(formatLogEntry).join('\n')}\n`)
+  return logPath
+}
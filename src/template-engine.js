@@ -0,0 +1,481 @@
+import { TemplateError } from './errors.js'
+import { t } from './i18n.js'
+
+// Motor de templates mínimo inspirado en Jinja:
+//   {{ variable | filtro }}            salida con filtros (snake, kebab, pascal...)
+//   {% if expr %}...{% elif %}...{% else %}...{% endif %}
+//   {% for item in lista %}...{% else %}...{% endfor %}   (con loop.index, loop.first, loop.last)
+//   {% raw %}...{% endraw %}           texto literal sin procesar
+//   {# comentario #}
+// Los marcadores heredados __NOMBRE__ se siguen aceptando y se resuelven como la variable `nombre`.
+// Cualquier variable no definida produce un TemplateError en lugar de dejar el marcador en el resultado.
+
+const UNDEFINED = Symbol('undefined')
+
+const TAG_RE = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}|\{#[\s\S]*?#\}/g
+const LEGACY_RE = /__([A-Z][A-Z0-9_]*?)__/g
+
+function words(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase())
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value
+  if (value && typeof value === 'object') return Object.keys(value)
+  return [value]
+}
+
+export const FILTERS = {
+  snake: value => words(value).join('_'),
+  kebab: value => words(value).join('-'),
+  pascal: value =>
+    words(value)
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join(''),
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  join: (value, separator = ', ') => toList(value).join(separator),
+  length: value => toList(value).length,
+  json: value => JSON.stringify(value),
+  default: (value, fallback = '') => (value === UNDEFINED || value === null ? fallback : value),
+}
+
+function lineAt(source, index) {
+  let line = 1
+  for (let i = 0; i < index; i++) {
+    if (source[i] === '\n') line++
+  }
+  return line
+}
+
+// ---------------------------------------------------------------------------
+// Tokenización
+
+function tokenize(source, name) {
+  const tokens = []
+  let cursor = 0
+  TAG_RE.lastIndex = 0
+
+  let match
+  while ((match = TAG_RE.exec(source))) {
+    let start = match.index
+    let end = TAG_RE.lastIndex
+    const isOutput = match[1] !== undefined
+
+    // Un bloque o comentario solo en su línea no deja líneas vacías en el resultado
+    if (!isOutput) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1
+      const newline = source.indexOf('\n', end)
+      const lineEnd = newline === -1 ? source.length : newline
+      if (lineStart >= cursor && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart
+        end = newline === -1 ? source.length : newline + 1
+      }
+    }
+
+    if (start > cursor) {
+      tokens.push({ type: 'text', value: source.slice(cursor, start), line: lineAt(source, cursor) })
+    }
+
+    const line = lineAt(source, match.index)
+    if (isOutput) {
+      tokens.push({ type: 'output', value: match[1].trim(), line })
+    } else if (match[2] !== undefined) {
+      const statement = match[2].trim()
+      if (statement === 'raw') {
+        const closing = /\{%\s*endraw\s*%\}/g
+        closing.lastIndex = end
+        const close = closing.exec(source)
+        if (!close) {
+          throw new TemplateError(t('template.unclosedRaw'), { template: name, line })
+        }
+        const rawStart = end
+        let rawEnd = close.index
+        end = closing.lastIndex
+        const lineStart = source.lastIndexOf('\n', rawEnd - 1) + 1
+        const newline = source.indexOf('\n', end)
+        const lineEnd = newline === -1 ? source.length : newline
+        if (lineStart >= cursor && !source.slice(lineStart, rawEnd).trim() && !source.slice(end, lineEnd).trim()) {
+          rawEnd = lineStart
+          end = newline === -1 ? source.length : newline + 1
+        }
+        tokens.push({ type: 'text', value: source.slice(rawStart, rawEnd), line, raw: true })
+        TAG_RE.lastIndex = end
+      } else {
+        tokens.push({ type: 'block', value: statement, line })
+      }
+    }
+    cursor = end
+  }
+
+  if (cursor < source.length) {
+    tokens.push({ type: 'text', value: source.slice(cursor), line: lineAt(source, cursor) })
+  }
+  return tokens
+}
+
+// ---------------------------------------------------------------------------
+// Expresiones
+
+const EXPR_TOKEN_RE =
+  /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|[<>|().,[\]]))/y
+
+function tokenizeExpression(text, location) {
+  const tokens = []
+  EXPR_TOKEN_RE.lastIndex = 0
+  while (EXPR_TOKEN_RE.lastIndex < text.length) {
+    if (!text.slice(EXPR_TOKEN_RE.lastIndex).trim()) break
+    const start = EXPR_TOKEN_RE.lastIndex
+    const match = EXPR_TOKEN_RE.exec(text)
+    if (!match) {
+      throw new TemplateError(
+        t('template.invalidExpression', { expression: text, near: text.slice(start).trim() }),
+        location,
+      )
+    }
+    if (match[1] !== undefined) tokens.push({ type: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1') })
+    else if (match[2] !== undefined) tokens.push({ type: 'number', value: Number(match[2]) })
+    else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3] })
+    else tokens.push({ type: 'op', value: match[4] })
+  }
+  return tokens
+}
+
+function compileExpression(text, location) {
+  const tokens = tokenizeExpression(text, location)
+  let pos = 0
+
+  const peek = () => tokens[pos]
+  const isOp = value => peek() && peek().type === 'op' && peek().value === value
+  const isName = value => peek() && peek().type === 'name' && peek().value === value
+  const expect = value => {
+    if (!isOp(value)) {
+      throw new TemplateError(t('template.expectedToken', { token: value, expression: text }), location)
+    }
+    pos++
+  }
+
+  const strict = (value, label) => {
+    if (value === UNDEFINED) {
+      throw new TemplateError(t('template.undefinedVariable', { name: label }), location)
+    }
+    return value
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (isName('or')) {
+      pos++
+      const l = left
+      const r = parseAnd()
+      left = ctx => truthy(l(ctx)) || truthy(r(ctx))
+    }
+    return left
+  }
+
+  function parseAnd() {
+    let left = parseNot()
+    while (isName('and')) {
+      pos++
+      const l = left
+      const r = parseNot()
+      left = ctx => truthy(l(ctx)) && truthy(r(ctx))
+    }
+    return left
+  }
+
+  function parseNot() {
+    if (isName('not')) {
+      pos++
+      const operand = parseNot()
+      return ctx => !truthy(operand(ctx))
+    }
+    return parseComparison()
+  }
+
+  function parseComparison() {
+    const left = parseFiltered()
+    const token = peek()
+    let operator = null
+    if (token && token.type === 'op' && ['==', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+      operator = token.value
+      pos++
+    } else if (isName('in')) {
+      operator = 'in'
+      pos++
+    } else if (isName('not') && tokens[pos + 1] && tokens[pos + 1].value === 'in') {
+      operator = 'not in'
+      pos += 2
+    } else {
+      return ctx => strict(left.eval(ctx), left.label)
+    }
+
+    const right = parseFiltered()
+    return ctx => {
+      const a = strict(left.eval(ctx), left.label)
+      const b = strict(right.eval(ctx), right.label)
+      switch (operator) {
+        case '==':
+          return a === b
+        case '!=':
+          return a !== b
+        case '<':
+          return a < b
+        case '>':
+          return a > b
+        case '<=':
+          return a <= b
+        case '>=':
+          return a >= b
+        case 'in':
+          return toList(b).includes(a) || (typeof b === 'string' && b.includes(a))
+        default:
+          return !(toList(b).includes(a) || (typeof b === 'string' && b.includes(a)))
+      }
+    }
+  }
+
+  // Devuelve { eval, label } para poder informar qué variable faltaba
+  function parseFiltered() {
+    let operand = parsePrimary()
+    while (isOp('|')) {
+      pos++
+      const token = peek()
+      if (!token || token.type !== 'name') {
+        throw new TemplateError(t('template.expectedFilter', { expression: text }), location)
+      }
+      pos++
+      const filterName = token.value
+      const filter = FILTERS[filterName]
+      if (!filter) {
+        throw new TemplateError(t('template.unknownFilter', { name: filterName }), location)
+      }
+      const args = []
+      if (isOp('(')) {
+        pos++
+        while (!isOp(')')) {
+          args.push(parseOr())
+          if (isOp(',')) pos++
+          else break
+        }
+        expect(')')
+      }
+      const input = operand
+      operand = {
+        label: input.label,
+        eval: ctx => {
+          const value = input.eval(ctx)
+          if (filterName !== 'default') strict(value, input.label)
+          return filter(value, ...args.map(arg => arg(ctx)))
+        },
+      }
+    }
+    return operand
+  }
+
+  function parsePrimary() {
+    const token = peek()
+    if (!token) {
+      throw new TemplateError(t('template.incompleteExpression', { expression: text }), location)
+    }
+    pos++
+
+    if (token.type === 'string' || token.type === 'number') {
+      return { label: JSON.stringify(token.value), eval: () => token.value }
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const inner = parseOr()
+      expect(')')
+      return { label: text, eval: inner }
+    }
+    if (token.type === 'op' && token.value === '[') {
+      const items = []
+      while (!isOp(']')) {
+        items.push(parseOr())
+        if (isOp(',')) pos++
+        else break
+      }
+      expect(']')
+      return { label: text, eval: ctx => items.map(item => item(ctx)) }
+    }
+    if (token.type === 'name') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { label: token.value, eval: () => token.value === 'true' }
+      }
+      if (token.value === 'none') {
+        return { label: token.value, eval: () => null }
+      }
+
+      const segments = [token.value]
+      while (isOp('.')) {
+        pos++
+        const next = peek()
+        if (!next || next.type !== 'name') {
+          throw new TemplateError(t('template.invalidPropertyAccess', { expression: text }), location)
+        }
+        segments.push(next.value)
+        pos++
+      }
+      return { label: segments.join('.'), eval: ctx => lookup(ctx, segments) }
+    }
+
+    throw new TemplateError(t('template.unexpectedToken', { token: token.value, expression: text }), location)
+  }
+
+  const root = parseOr()
+  if (pos < tokens.length) {
+    throw new TemplateError(t('template.unexpectedToken', { token: tokens[pos].value, expression: text }), location)
+  }
+  return ctx => strict(root(ctx), text)
+}
+
+function lookup(ctx, segments) {
+  let value = ctx
+  for (const segment of segments) {
+    if (value === null || value === undefined || typeof value !== 'object' || !(segment in value)) {
+      return UNDEFINED
+    }
+    value = value[segment]
+  }
+  return value === undefined ? UNDEFINED : value
+}
+
+function truthy(value) {
+  if (value === UNDEFINED) return false
+  if (Array.isArray(value)) return value.length > 0
+  return Boolean(value)
+}
+
+// ---------------------------------------------------------------------------
+// Árbol de nodos
+
+function parse(tokens, name) {
+  const root = { body: [] }
+  const stack = [{ node: root, target: root.body, kind: 'root' }]
+
+  for (const token of tokens) {
+    const location = { template: name, line: token.line }
+    const frame = stack[stack.length - 1]
+
+    if (token.type === 'text') {
+      frame.target.push({ type: 'text', value: token.value, raw: Boolean(token.raw), location })
+      continue
+    }
+    if (token.type === 'output') {
+      frame.target.push({ type: 'output', expr: compileExpression(token.value, location), location })
+      continue
+    }
+
+    const [keyword] = token.value.split(/\s+/)
+    const rest = token.value.slice(keyword.length).trim()
+
+    if (keyword === 'if') {
+      const node = { type: 'if', branches: [{ test: compileExpression(rest, location), body: [] }], elseBody: null }
+      frame.target.push(node)
+      stack.push({ node, target: node.branches[0].body, kind: 'if', location })
+    } else if (keyword === 'elif') {
+      if (frame.kind !== 'if' || frame.node.elseBody) {
+        throw new TemplateError(t('template.elifOutsideIf'), location)
+      }
+      const branch = { test: compileExpression(rest, location), body: [] }
+      frame.node.branches.push(branch)
+      frame.target = branch.body
+    } else if (keyword === 'else') {
+      if ((frame.kind !== 'if' && frame.kind !== 'for') || frame.node.elseBody) {
+        throw new TemplateError(t('template.elseOutsideBlock'), location)
+      }
+      frame.node.elseBody = []
+      frame.target = frame.node.elseBody
+    } else if (keyword === 'endif' || keyword === 'endfor') {
+      const expected = keyword === 'endif' ? 'if' : 'for'
+      if (frame.kind !== expected) {
+        throw new TemplateError(t('template.unmatchedEnd', { keyword, expected }), location)
+      }
+      stack.pop()
+    } else if (keyword === 'for') {
+      const forMatch = rest.match(/^([A-Za-z_][A-Za-z0-9_]*)\s+in\s+([\s\S]+)$/)
+      if (!forMatch) {
+        throw new TemplateError(t('template.invalidFor', { statement: token.value }), location)
+      }
+      const node = {
+        type: 'for',
+        variable: forMatch[1],
+        iterable: compileExpression(forMatch[2], location),
+        body: [],
+        elseBody: null,
+      }
+      frame.target.push(node)
+      stack.push({ node, target: node.body, kind: 'for', location })
+    } else {
+      throw new TemplateError(t('template.unknownBlock', { keyword }), location)
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1]
+    throw new TemplateError(t('template.unclosedBlock', { keyword: open.kind }), open.location)
+  }
+  return root.body
+}
+
+function stringify(value) {
+  if (value === null) return ''
+  if (Array.isArray(value)) return value.join(', ')
+  return String(value)
+}
+
+function renderNodes(nodes, ctx) {
+  let out = ''
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.raw ? node.value : renderLegacy(node.value, ctx, node.location)
+        break
+      case 'output':
+        out += stringify(node.expr(ctx))
+        break
+      case 'if': {
+        const branch = node.branches.find(candidate => truthy(candidate.test(ctx)))
+        if (branch) out += renderNodes(branch.body, ctx)
+        else if (node.elseBody) out += renderNodes(node.elseBody, ctx)
+        break
+      }
+      case 'for': {
+        const items = toList(node.iterable(ctx))
+        if (items.length === 0 && node.elseBody) {
+          out += renderNodes(node.elseBody, ctx)
+          break
+        }
+        items.forEach((item, index) => {
+          const loop = { index: index + 1, index0: index, first: index === 0, last: index === items.length - 1 }
+          out += renderNodes(node.body, { ...ctx, [node.variable]: item, loop })
+        })
+        break
+      }
+    }
+  }
+  return out
+}
+
+function renderLegacy(text, ctx, location) {
+  return text.replace(LEGACY_RE, (token, key) => {
+    const value = lookup(ctx, [key.toLowerCase()])
+    if (value === UNDEFINED) {
+      throw new TemplateError(t('template.undefinedVariable', { name: token }), location)
+    }
+    return stringify(value)
+  })
+}
+
+export function renderTemplate(source, context = {}, { name = null } = {}) {
+  return renderNodes(parse(tokenize(source, name), name), context)
+}
+
+// Evalúa una condición con la misma sintaxis que {% if %} (usada por ejemplo en el manifiesto)
+export function evaluateCondition(expression, context = {}, { name = null } = {}) {
+  return truthy(compileExpression(expression, { template: name })(context))
+}
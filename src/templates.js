@@ -0,0 +1,263 @@
+import * as fs from 'fs'
+import { createRequire } from 'module'
+import * as os from 'os'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import { UsageError } from './errors.js'
+import { getLanguage, localize, t } from './i18n.js'
+import { evaluateCondition, renderTemplate } from './template-engine.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+export const TEMPLATES_DIR = path.resolve(__dirname, '../templates')
+export const BUILTIN_LAYER = 'built-in'
+
+export function ensureDirSync(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true })
+  }
+}
+
+function findPackageDir(name, cwd) {
+  try {
+    const require = createRequire(path.join(cwd, 'noop.js'))
+    return path.dirname(require.resolve(`${name}/package.json`))
+  } catch (error) {
+    // Paquetes con "exports" que no exponen package.json: buscar node_modules hacia arriba
+  }
+
+  let dir = cwd
+  while (true) {
+    const candidate = path.join(dir, 'node_modules', name)
+    if (fs.existsSync(path.join(candidate, 'package.json'))) {
+      return candidate
+    }
+    const parent = path.dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+}
+
+// Un pack puede ser un directorio local o un paquete npm instalado. Dentro del pack, los templates están en
+// el directorio indicado por package.json ("create-python-modern": { "templates": "..." }), en templates/ o en la raíz.
+export function resolveTemplatePack(spec, cwd = process.cwd()) {
+  const expanded = spec.startsWith('~') ? path.join(os.homedir(), spec.slice(1)) : spec
+  const localPath = path.resolve(cwd, expanded)
+  let root = null
+
+  if (fs.existsSync(localPath)) {
+    if (!fs.statSync(localPath).isDirectory()) {
+      throw new UsageError(t('templates.packNotDirectory', { path: localPath }))
+    }
+    root = localPath
+  } else if (!/^[./\\]/.test(spec) && !path.isAbsolute(spec)) {
+    root = findPackageDir(spec, cwd)
+  }
+
+  if (!root) {
+    throw new UsageError(t('templates.packNotFound', { spec }))
+  }
+
+  let dir = root
+  const packageJsonPath = path.join(root, 'package.json')
+  const packageJson = fs.existsSync(packageJsonPath) ? JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')) : {}
+  const configured = packageJson['create-python-modern'] && packageJson['create-python-modern'].templates
+  if (configured) {
+    dir = path.resolve(root, configured)
+  } else if (fs.existsSync(path.join(root, 'templates')) && !fs.existsSync(path.join(root, 'manifest.json'))) {
+    dir = path.join(root, 'templates')
+  }
+
+  return { name: packageJson.name || spec, dir }
+}
+
+// Conjunto de capas de templates: los packs personalizados (de mayor a menor prioridad) sobre los templates
+// incluidos en el paquete. Cada archivo se busca capa por capa, así que un pack solo necesita los archivos que cambia.
+// Dentro de cada capa, la traducción de locales/<idioma>/ tiene prioridad sobre el template sin traducir.
+export class TemplateStore {
+  constructor(packs = [], { builtin = true, lang = getLanguage() } = {}) {
+    this.layers = builtin ? [...packs, { name: BUILTIN_LAYER, dir: TEMPLATES_DIR }] : [...packs]
+    this.lang = lang
+    this.origins = new Map()
+  }
+
+  resolve(relPath) {
+    for (const layer of this.layers) {
+      for (const candidate of [path.join('locales', this.lang, relPath), relPath]) {
+        const fullPath = path.join(layer.dir, candidate)
+        if (fs.existsSync(fullPath)) {
+          return { fullPath, layer: layer.name }
+        }
+      }
+    }
+    return null
+  }
+
+  // Devuelve el contenido del template junto con la capa de la que proviene
+  readTemplate(relPath) {
+    const found = this.resolve(relPath)
+    if (!found) {
+      const searched = this.layers.map(layer => path.join(layer.dir, relPath)).join(', ')
+      throw new Error(t('templates.notFound', { template: relPath, searched }))
+    }
+    this.origins.set(relPath.split(path.sep).join('/'), found.layer)
+    return { content: fs.readFileSync(found.fullPath, 'utf8'), layer: found.layer, fullPath: found.fullPath }
+  }
+
+  // Renderiza un template y lo escribe en destino; la ruta de destino también admite variables y filtros
+  copyTemplate(relTemplatePath, destPattern, context = {}) {
+    const { content, layer } = this.readTemplate(relTemplatePath)
+    const rendered = renderTemplate(content, context, { name: relTemplatePath })
+    const destPath = renderTemplate(destPattern, context, { name: `${relTemplatePath} (destino)` })
+    ensureDirSync(path.dirname(destPath))
+    fs.writeFileSync(destPath, rendered)
+    return layer
+  }
+
+  // Templates que no vienen de los templates incluidos en el paquete, con la capa de origen
+  customOrigins() {
+    return [...this.origins.entries()]
+      .filter(([, layer]) => layer !== BUILTIN_LAYER)
+      .map(([file, layer]) => ({ file, layer }))
+  }
+
+  // Nombres de los subdirectorios de `kind` (archetypes, features) que contienen `definitionFile` en alguna capa
+  listDefinitions(kind, definitionFile) {
+    const names = new Set()
+    for (const layer of this.layers) {
+      const kindDir = path.join(layer.dir, kind)
+      if (!fs.existsSync(kindDir)) continue
+      for (const entry of fs.readdirSync(kindDir, { withFileTypes: true })) {
+        if (entry.isDirectory() && fs.existsSync(path.join(kindDir, entry.name, definitionFile))) {
+          names.add(entry.name)
+        }
+      }
+    }
+    return [...names].sort()
+  }
+
+  listArchetypes() {
+    return this.listDefinitions('archetypes', 'archetype.json')
+  }
+
+  listFeatures() {
+    return this.listDefinitions('features', 'feature.json')
+  }
+
+  readFeature(name) {
+    return JSON.parse(this.readTemplate(path.join('features', name, 'feature.json')).content)
+  }
+
+  readArchetype(name) {
+    return JSON.parse(this.readTemplate(path.join('archetypes', name, 'archetype.json')).content)
+  }
+
+  // Carga la definición de un arquetipo (dependencias y entry points) renderizada para el proyecto
+  loadArchetype(name, context) {
+    const definition = this.readArchetype(name)
+    const source = `archetypes/${name}/archetype.json`
+    const render = value => renderTemplate(value, context, { name: source })
+    const scripts = {}
+    for (const [scriptName, target] of Object.entries(definition.scripts || {})) {
+      scripts[render(scriptName)] = render(target)
+    }
+    return {
+      name,
+      description: localize(definition.description, this.lang) || name,
+      dependencies: definition.dependencies || [],
+      devDependencies: definition.devDependencies || [],
+      scripts,
+      runCommand: definition.runCommand ? render(definition.runCommand) : null,
+      // Los arquetipos con "asyncio": false no llevan pytest-asyncio ni las reglas async de .claude.md
+      asyncio: definition.asyncio !== false,
+      files: (definition.files || []).map(file => ({ ...file, source: path.join('archetypes', name, file.source) })),
+    }
+  }
+
+  // Combina los manifest.json de todas las capas: las entradas de un pack reemplazan a las de menor prioridad
+  // con el mismo destino y el resto se añaden al final
+  readManifest() {
+    const files = []
+    for (const layer of [...this.layers].reverse()) {
+      const manifestPath = path.join(layer.dir, 'manifest.json')
+      if (!fs.existsSync(manifestPath)) continue
+      for (const entry of JSON.parse(fs.readFileSync(manifestPath, 'utf8')).files || []) {
+        const index = files.findIndex(existing => existing.destination === entry.destination)
+        if (index === -1) files.push(entry)
+        else files[index] = entry
+      }
+    }
+    return { files }
+  }
+
+  // Resuelve el manifiesto (manifest.json, los archivos del arquetipo y los de las features elegidas) para un proyecto
+  // concreto. Cada entrada admite:
+  //   source       template relativo a templates/, con la misma sintaxis que destination (sin source: archivo generado
+  //                por otra herramienta, p. ej. uv init)
+  //   destination  ruta de destino, con la misma sintaxis que los templates
+  //   strategy     "write" (por defecto), "append" para añadir el contenido a un archivo existente o "merge" para
+  //                combinar un fragmento TOML con el archivo existente
+  //   merge        reglas de "merge": { "union": [rutas de arrays], "override": [rutas en las que gana el template] }
+  //   when         condición con la sintaxis de {% if %}; la entrada se ignora si es falsa
+  //   vars         variables adicionales solo para esta entrada
+  //   required     si la verificación posterior exige que exista (por defecto true)
+  //   overwrite    false para no sobrescribir un archivo existente
+  //   description  comentario mostrado en el árbol del proyecto: un texto o { "en": ..., "es": ... }
+  resolveManifest(context, archetype, features = []) {
+    const featureEntries = features.flatMap(name => this.featureEntries(name))
+    return this.resolveEntries([...this.readManifest().files, ...archetype.files, ...featureEntries], context)
+  }
+
+  // Entradas de manifiesto de una feature: sus archivos y, si tiene, la fusión de su fragmento de pyproject.toml
+  featureEntries(name) {
+    const definition = this.readFeature(name)
+    const pyproject = definition.pyproject
+      ? [{ source: definition.pyproject, destination: 'pyproject.toml', strategy: 'merge', merge: definition.merge }]
+      : []
+    return [...(definition.files || []), ...pyproject]
+  }
+
+  resolveEntries(entries, context) {
+    return entries
+      .filter(
+        entry => !entry.when || evaluateCondition(entry.when, context, { name: `manifest (${entry.destination})` }),
+      )
+      .map(entry => {
+        const entryContext = { ...context, ...(entry.vars || {}) }
+        return {
+          source: entry.source
+            ? renderTemplate(entry.source, entryContext, { name: `manifest (${entry.destination})` })
+            : null,
+          destination: renderTemplate(entry.destination, entryContext, { name: `manifest (${entry.destination})` }),
+          strategy: entry.strategy || 'write',
+          merge: entry.merge || {},
+          required: entry.required !== false,
+          overwrite: entry.overwrite !== false,
+          description: localize(entry.description, this.lang) || null,
+          context: entryContext,
+        }
+      })
+  }
+
+  // Escribe los archivos del manifiesto con estrategia "write"; devuelve las rutas creadas
+  writeManifestFiles(entries, rootDir = '.') {
+    const written = []
+    for (const entry of entries) {
+      if (!entry.source || entry.strategy !== 'write') continue
+
+      const destPath = path.join(rootDir, entry.destination)
+      if (!entry.overwrite && fs.existsSync(destPath)) continue
+
+      this.copyTemplate(entry.source, destPath, entry.context)
+      written.push(entry.destination)
+    }
+    return written
+  }
+}
+
+// Devuelve las entradas obligatorias que no existen tras la generación
+export function findMissingFiles(entries, rootDir = '.') {
+  return entries
+    .filter(entry => entry.required && !fs.existsSync(path.join(rootDir, entry.destination)))
+    .map(entry => entry.destination)
+}
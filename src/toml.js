@@ -0,0 +1,666 @@
+import { TomlError } from './errors.js'
+import { t } from './i18n.js'
+
+// Parser y serializador TOML 1.0 (https://toml.io/en/v1.0.0).
+//
+// parse(text, { bigint, file })  text puede ser un string o un Buffer UTF-8. Los enteros se devuelven como number
+//                                (BigInt si no caben con precisión) o siempre como BigInt con `bigint: true`
+// stringify(value, { bigint })   con `bigint: true` los BigInt son enteros y todos los number se escriben como float,
+//                                de modo que stringify(parse(x, opts), opts) conserva los tipos
+
+// Fecha/hora TOML: conserva el tipo (datetime, datetime-local, date-local, time-local) y el texto original
+export class TomlDateTime {
+  constructor(kind, value) {
+    this.kind = kind
+    this.value = value
+  }
+
+  toString() {
+    return this.value
+  }
+
+  toJSON() {
+    return this.value
+  }
+}
+
+const INT64_MIN = -(2n ** 63n)
+const INT64_MAX = 2n ** 63n - 1n
+
+const BARE_KEY = /^[A-Za-z0-9_-]+$/
+const DECIMAL_INTEGER = /^[+-]?(0|[1-9](_?[0-9])*)$/
+const PREFIXED_INTEGER = /^0(x[0-9A-Fa-f](_?[0-9A-Fa-f])*|o[0-7](_?[0-7])*|b[01](_?[01])*)$/
+const FLOAT = /^[+-]?(0|[1-9](_?[0-9])*)(\.[0-9](_?[0-9])*)?([eE][+-]?[0-9](_?[0-9])*)?$/
+const SPECIAL_FLOAT = /^[+-]?(inf|nan)$/
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/
+const TIME = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?$/
+const DATETIME = /^(\d{4})-(\d{2})-(\d{2})[Tt ](\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))?$/
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\' }
+
+function isTable(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof TomlDateTime) &&
+    !(value instanceof Date)
+  )
+}
+
+function hasKey(table, key) {
+  return Object.prototype.hasOwnProperty.call(table, key)
+}
+
+// Asignación que también sirve para claves como "__proto__"
+function setKey(table, key, value) {
+  Object.defineProperty(table, key, { value, enumerable: true, writable: true, configurable: true })
+}
+
+function isControl(char) {
+  const code = char.charCodeAt(0)
+  return (code < 0x20 && char !== '\t') || code === 0x7f
+}
+
+function daysInMonth(year, month) {
+  if (month === 2) return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28
+  return [4, 6, 9, 11].includes(month) ? 30 : 31
+}
+
+function validDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(Number(year), month)
+}
+
+function validTime(hour, minute, second) {
+  return hour <= 23 && minute <= 59 && second <= 60
+}
+
+class Parser {
+  constructor(text, options) {
+    this.text = text
+    this.pos = 0
+    this.options = options
+    // Cómo se creó cada tabla: 'implicit' (ruta de una cabecera), 'defined' (cabecera), 'dotted' (clave con puntos)
+    // o 'inline'; las tablas inline y las definidas no se pueden volver a abrir
+    this.kinds = new WeakMap()
+    // Arrays creados con [[cabecera]], los únicos a los que se pueden añadir tablas
+    this.tableArrays = new WeakSet()
+    // Posición de cada cabecera y de cada clave de primer nivel, solo con parseLayout
+    this.layout = options.layout ? [] : null
+  }
+
+  fail(message, pos = this.pos) {
+    const before = this.text.slice(0, pos).split('\n')
+    throw new TomlError(message, {
+      file: this.options.file,
+      line: before.length,
+      column: before[before.length - 1].length + 1,
+    })
+  }
+
+  peek(offset = 0) {
+    return this.text[this.pos + offset]
+  }
+
+  startsWith(token) {
+    return this.text.startsWith(token, this.pos)
+  }
+
+  newTable(kind) {
+    const table = {}
+    this.kinds.set(table, kind)
+    return table
+  }
+
+  parse() {
+    const root = this.newTable('defined')
+    let current = root
+    if (this.peek() === '\uFEFF') this.pos++
+
+    while (this.pos < this.text.length) {
+      this.skipWhitespace()
+      const char = this.peek()
+      if (char === undefined) break
+      if (char === '#' || char === '\n' || char === '\r') {
+        this.skipLineEnd()
+        continue
+      }
+      const start = this.pos
+      if (char === '[') {
+        const header = this.parseHeader(root)
+        current = header.table
+        if (this.layout) {
+          this.layout.push({ type: 'table', path: header.parts, array: header.isArray, start, end: this.pos })
+        }
+      } else {
+        const { parts, equals } = this.parseKeyValue(current)
+        if (this.layout) this.layout.push({ type: 'key', path: parts, start, equals, end: this.pos })
+      }
+      this.skipWhitespace()
+      this.skipLineEnd()
+    }
+    return root
+  }
+
+  skipWhitespace() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.pos++
+  }
+
+  skipComment() {
+    if (this.peek() !== '#') return
+    this.pos++
+    while (this.pos < this.text.length && this.peek() !== '\n') {
+      if (this.peek() === '\r' && this.peek(1) === '\n') break
+      if (isControl(this.peek())) this.fail(t('toml.controlInComment'))
+      this.pos++
+    }
+  }
+
+  // Fin de línea tras una expresión: comentario opcional y salto de línea (o fin del documento)
+  skipLineEnd() {
+    this.skipComment()
+    if (this.pos >= this.text.length) return
+    if (this.peek() === '\n') {
+      this.pos++
+    } else if (this.startsWith('\r\n')) {
+      this.pos += 2
+    } else {
+      this.fail(t('toml.expectedNewline', { found: JSON.stringify(this.peek()) }))
+    }
+  }
+
+  // Espacios, comentarios y saltos de línea dentro de un array
+  skipInsignificant() {
+    while (this.pos < this.text.length) {
+      this.skipWhitespace()
+      const char = this.peek()
+      if (char === '#') this.skipComment()
+      else if (char === '\n') this.pos++
+      else if (char === '\r' && this.peek(1) === '\n') this.pos += 2
+      else break
+    }
+  }
+
+  parseKey() {
+    const parts = []
+    while (true) {
+      this.skipWhitespace()
+      const char = this.peek()
+      if (char === '"') {
+        if (this.startsWith('"""')) this.fail(t('toml.multilineKey'))
+        parts.push(this.parseBasicString())
+      } else if (char === "'") {
+        if (this.startsWith("'''")) this.fail(t('toml.multilineKey'))
+        parts.push(this.parseLiteralString())
+      } else {
+        const start = this.pos
+        while (this.pos < this.text.length && /[A-Za-z0-9_-]/.test(this.peek())) this.pos++
+        if (this.pos === start) {
+          this.fail(
+            char === undefined ? t('toml.missingKey') : t('toml.unexpectedKeyChar', { char: JSON.stringify(char) }),
+          )
+        }
+        parts.push(this.text.slice(start, this.pos))
+      }
+      this.skipWhitespace()
+      if (this.peek() !== '.') return parts
+      this.pos++
+    }
+  }
+
+  // Recorre (creando si hace falta) las tablas intermedias de una cabecera
+  descend(root, parts, start) {
+    let table = root
+    for (const part of parts) {
+      if (!hasKey(table, part)) setKey(table, part, this.newTable('implicit'))
+      let next = table[part]
+      if (Array.isArray(next)) {
+        if (!this.tableArrays.has(next)) this.fail(t('toml.arrayNotExtendable', { key: part }), start)
+        next = next[next.length - 1]
+      } else if (!isTable(next)) {
+        this.fail(t('toml.notATable', { key: part }), start)
+      }
+      if (this.kinds.get(next) === 'inline') this.fail(t('toml.inlineNotExtendable', { key: part }), start)
+      table = next
+    }
+    return table
+  }
+
+  parseHeader(root) {
+    const start = this.pos
+    const isArray = this.startsWith('[[')
+    this.pos += isArray ? 2 : 1
+    const parts = this.parseKey()
+    if (isArray ? !this.startsWith(']]') : this.peek() !== ']') {
+      this.fail(t('toml.expectedHeaderEnd', { expected: isArray ? ']]' : ']' }))
+    }
+    this.pos += isArray ? 2 : 1
+
+    const parent = this.descend(root, parts.slice(0, -1), start)
+    const name = parts[parts.length - 1]
+    const label = parts.join('.')
+    if (isArray) {
+      if (!hasKey(parent, name)) {
+        const array = []
+        this.tableArrays.add(array)
+        setKey(parent, name, array)
+      }
+      const array = parent[name]
+      if (!Array.isArray(array) || !this.tableArrays.has(array)) {
+        this.fail(t('toml.notArrayOfTables', { table: label }), start)
+      }
+      const table = this.newTable('defined')
+      array.push(table)
+      return { table, parts, isArray }
+    }
+
+    if (!hasKey(parent, name)) {
+      const table = this.newTable('defined')
+      setKey(parent, name, table)
+      return { table, parts, isArray }
+    }
+    const existing = parent[name]
+    if (!isTable(existing) || this.kinds.get(existing) !== 'implicit') {
+      this.fail(t('toml.tableRedefined', { table: label }), start)
+    }
+    this.kinds.set(existing, 'defined')
+    return { table: existing, parts, isArray }
+  }
+
+  // clave = valor; las claves con puntos crean tablas intermedias que solo pueden ampliarse con más claves con puntos.
+  // Devuelve las partes de la clave y la posición del "="
+  parseKeyValue(table) {
+    const start = this.pos
+    const parts = this.parseKey()
+    if (this.peek() !== '=') this.fail(t('toml.expectedEquals'))
+    const equals = this.pos
+    this.pos++
+    this.skipWhitespace()
+    const value = this.parseValue()
+
+    let target = table
+    for (const part of parts.slice(0, -1)) {
+      if (!hasKey(target, part)) {
+        setKey(target, part, this.newTable('dotted'))
+      } else if (!isTable(target[part]) || this.kinds.get(target[part]) !== 'dotted') {
+        this.fail(t('toml.keyNotExtendable', { key: part }), start)
+      }
+      target = target[part]
+    }
+    const name = parts[parts.length - 1]
+    if (hasKey(target, name)) this.fail(t('toml.duplicateKey', { key: parts.join('.') }), start)
+    setKey(target, name, value)
+    return { parts, equals }
+  }
+
+  parseValue() {
+    const char = this.peek()
+    if (char === '"') return this.startsWith('"""') ? this.parseMultilineBasicString() : this.parseBasicString()
+    if (char === "'") return this.startsWith("'''") ? this.parseMultilineLiteralString() : this.parseLiteralString()
+    if (char === '[') return this.parseArray()
+    if (char === '{') return this.parseInlineTable()
+    if (this.startsWith('true') && !/[A-Za-z0-9_-]/.test(this.peek(4) || '')) {
+      this.pos += 4
+      return true
+    }
+    if (this.startsWith('false') && !/[A-Za-z0-9_-]/.test(this.peek(5) || '')) {
+      this.pos += 5
+      return false
+    }
+    return this.parseScalar()
+  }
+
+  parseEscape() {
+    const start = this.pos
+    this.pos++
+    const char = this.peek()
+    if (char in ESCAPES) {
+      this.pos++
+      return ESCAPES[char]
+    }
+    if (char === 'u' || char === 'U') {
+      const length = char === 'u' ? 4 : 8
+      const hex = this.text.slice(this.pos + 1, this.pos + 1 + length)
+      if (!new RegExp(`^[0-9A-Fa-f]{${length}}$`).test(hex)) this.fail(t('toml.incompleteUnicodeEscape'), start)
+      const code = parseInt(hex, 16)
+      if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) {
+        this.fail(t('toml.invalidUnicodeScalar', { escape: `\\${char}${hex}` }), start)
+      }
+      this.pos += 1 + length
+      return String.fromCodePoint(code)
+    }
+    return this.fail(t('toml.invalidEscape', { escape: `\\${char || ''}` }), start)
+  }
+
+  parseBasicString() {
+    const start = this.pos
+    this.pos++
+    let result = ''
+    while (true) {
+      const char = this.peek()
+      if (char === undefined || char === '\n' || char === '\r') this.fail(t('toml.unclosedString'), start)
+      if (char === '"') {
+        this.pos++
+        return result
+      }
+      if (char === '\\') {
+        result += this.parseEscape()
+        continue
+      }
+      if (isControl(char)) this.fail(t('toml.controlInString'))
+      result += char
+      this.pos++
+    }
+  }
+
+  parseLiteralString() {
+    const start = this.pos
+    this.pos++
+    const end = this.text.indexOf("'", this.pos)
+    const newline = this.text.slice(this.pos, end === -1 ? undefined : end).search(/[\r\n]/)
+    if (end === -1 || newline !== -1) this.fail(t('toml.unclosedLiteralString'), start)
+    const content = this.text.slice(this.pos, end)
+    for (let i = 0; i < content.length; i++) {
+      if (isControl(content[i])) this.fail(t('toml.controlInString'), this.pos + i)
+    }
+    this.pos = end + 1
+    return content
+  }
+
+  // Salto de línea justo después de las comillas de apertura: no forma parte del string
+  skipOpeningNewline() {
+    if (this.peek() === '\n') this.pos++
+    else if (this.startsWith('\r\n')) this.pos += 2
+  }
+
+  // Cierre de un string multilínea: se admiten hasta dos comillas más, que forman parte del contenido
+  closeMultiline(quote) {
+    let count = 0
+    while (this.peek(count) === quote) count++
+    if (count > 5) this.fail(t('toml.tooManyQuotes'))
+    this.pos += count
+    return quote.repeat(count - 3)
+  }
+
+  parseMultilineBasicString() {
+    const start = this.pos
+    this.pos += 3
+    this.skipOpeningNewline()
+    let result = ''
+    while (true) {
+      const char = this.peek()
+      if (char === undefined) this.fail(t('toml.unclosedMultilineString'), start)
+      if (this.startsWith('"""')) return result + this.closeMultiline('"')
+      if (char === '\\') {
+        // Barra al final de la línea: elimina el salto y los espacios hasta el siguiente carácter
+        const lineEnd = this.text.slice(this.pos + 1).match(/^[ \t]*(\r?\n)/)
+        if (lineEnd) {
+          this.pos += 1 + lineEnd[0].length
+          while (/[ \t\n]/.test(this.peek() || '') || this.startsWith('\r\n')) {
+            this.pos += this.startsWith('\r\n') ? 2 : 1
+          }
+          continue
+        }
+        result += this.parseEscape()
+        continue
+      }
+      if (char === '\r') {
+        if (this.peek(1) !== '\n') this.fail(t('toml.bareCarriageReturn'))
+        result += '\r\n'
+        this.pos += 2
+        continue
+      }
+      if (char !== '\n' && isControl(char)) this.fail(t('toml.controlInString'))
+      result += char
+      this.pos++
+    }
+  }
+
+  parseMultilineLiteralString() {
+    const start = this.pos
+    this.pos += 3
+    this.skipOpeningNewline()
+    let result = ''
+    while (true) {
+      const char = this.peek()
+      if (char === undefined) this.fail(t('toml.unclosedMultilineString'), start)
+      if (this.startsWith("'''")) return result + this.closeMultiline("'")
+      if (char === '\r') {
+        if (this.peek(1) !== '\n') this.fail(t('toml.bareCarriageReturn'))
+        result += '\r\n'
+        this.pos += 2
+        continue
+      }
+      if (char !== '\n' && isControl(char)) this.fail(t('toml.controlInString'))
+      result += char
+      this.pos++
+    }
+  }
+
+  parseArray() {
+    this.pos++
+    const array = []
+    while (true) {
+      this.skipInsignificant()
+      if (this.peek() === ']') {
+        this.pos++
+        return array
+      }
+      if (this.peek() === undefined) this.fail(t('toml.unclosedArray'))
+      array.push(this.parseValue())
+      this.skipInsignificant()
+      if (this.peek() === ',') {
+        this.pos++
+      } else if (this.peek() === ']') {
+        this.pos++
+        return array
+      } else {
+        this.fail(t('toml.expectedArraySeparator'))
+      }
+    }
+  }
+
+  parseInlineTable() {
+    this.pos++
+    const table = this.newTable('dotted')
+    this.skipWhitespace()
+    if (this.peek() === '}') {
+      this.pos++
+    } else {
+      while (true) {
+        this.parseKeyValue(table)
+        this.skipWhitespace()
+        if (this.peek() === '}') {
+          this.pos++
+          break
+        }
+        if (this.peek() !== ',') this.fail(t('toml.expectedInlineSeparator'))
+        this.pos++
+        this.skipWhitespace()
+        if (this.peek() === '}') this.fail(t('toml.inlineTrailingComma'))
+      }
+    }
+    this.freeze(table)
+    return table
+  }
+
+  // Una tabla inline (y todo lo que contiene) queda cerrada a cabeceras y claves con puntos posteriores
+  freeze(value) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.freeze(item))
+    } else if (isTable(value)) {
+      this.kinds.set(value, 'inline')
+      Object.values(value).forEach(item => this.freeze(item))
+    }
+  }
+
+  // Números, fechas, inf y nan
+  parseScalar() {
+    const start = this.pos
+    while (this.pos < this.text.length && /[0-9A-Za-z_+.:-]/.test(this.peek())) this.pos++
+    let token = this.text.slice(start, this.pos)
+    // Fecha y hora separadas por un espacio
+    if (DATE.test(token) && this.peek() === ' ' && /^\d{2}:/.test(this.text.slice(this.pos + 1, this.pos + 4))) {
+      this.pos++
+      while (this.pos < this.text.length && /[0-9A-Za-z_+.:-]/.test(this.peek())) this.pos++
+      token = this.text.slice(start, this.pos)
+    }
+    if (token === '') {
+      this.fail(
+        this.peek() === undefined || /[\r\n#]/.test(this.peek()) ? t('toml.missingValue') : t('toml.invalidValue'),
+        start,
+      )
+    }
+
+    if (SPECIAL_FLOAT.test(token)) {
+      return token.endsWith('nan') ? NaN : token.startsWith('-') ? -Infinity : Infinity
+    }
+    if (DECIMAL_INTEGER.test(token) || PREFIXED_INTEGER.test(token)) {
+      const clean = token.replace(/_/g, '')
+      const value = clean.startsWith('+') ? BigInt(clean.slice(1)) : BigInt(clean)
+      if (value < INT64_MIN || value > INT64_MAX) this.fail(t('toml.integerOverflow', { value: token }), start)
+      if (this.options.bigint) return value
+      return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+        ? Number(value)
+        : value
+    }
+    if (FLOAT.test(token) && /[.eE]/.test(token)) {
+      return Number(token.replace(/_/g, ''))
+    }
+    return this.parseDateTime(token, start)
+  }
+
+  parseDateTime(token, start) {
+    let match = token.match(DATETIME)
+    if (match) {
+      const [, year, month, day, hour, minute, second, , offset, offsetHour, offsetMinute] = match
+      if (!validDate(year, Number(month), Number(day)) || !validTime(Number(hour), Number(minute), Number(second))) {
+        this.fail(t('toml.invalidDateTime', { value: token }), start)
+      }
+      if (offsetHour && (Number(offsetHour) > 23 || Number(offsetMinute) > 59)) {
+        this.fail(t('toml.invalidOffset', { value: token }), start)
+      }
+      const value = `${token.slice(0, 10)}T${token.slice(11)}`.replace(/z$/, 'Z')
+      return new TomlDateTime(offset ? 'datetime' : 'datetime-local', value)
+    }
+    match = token.match(DATE)
+    if (match) {
+      if (!validDate(match[1], Number(match[2]), Number(match[3])))
+        this.fail(t('toml.invalidDate', { value: token }), start)
+      return new TomlDateTime('date-local', token)
+    }
+    match = token.match(TIME)
+    if (match) {
+      if (!validTime(Number(match[1]), Number(match[2]), Number(match[3])))
+        this.fail(t('toml.invalidTime', { value: token }), start)
+      return new TomlDateTime('time-local', token)
+    }
+    return this.fail(t('toml.invalidValueToken', { value: token }), start)
+  }
+}
+
+export function parse(input, { bigint = false, file = null } = {}) {
+  let text = input
+  if (typeof input !== 'string') {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(input)
+    } catch (error) {
+      throw new TomlError(t('toml.invalidUtf8'), { file })
+    }
+  }
+  return new Parser(text, { bigint, file }).parse()
+}
+
+// Como parse, pero devuelve también dónde está cada cabecera y cada clave de primer nivel del documento, para editarlo
+// sin perder su formato: `layout` tiene, en orden, { type: 'table', path, array, start, end } y
+// { type: 'key', path, start, equals, end }, con posiciones en el texto (`end` justo detrás del valor). Cada clave
+// pertenece a la última cabecera anterior (o a la raíz).
+export function parseLayout(text, { file = null } = {}) {
+  const parser = new Parser(text, { bigint: false, file, layout: true })
+  const value = parser.parse()
+  return { value, layout: parser.layout }
+}
+
+function quoteString(value) {
+  const escaped = value.replace(/[\u0000-\u001f"\\\u007f]/g, char => {
+    const short = Object.keys(ESCAPES).find(key => ESCAPES[key] === char)
+    return short ? `\\${short}` : `\\u${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+  })
+  return `"${escaped}"`
+}
+
+export function formatKey(key) {
+  return BARE_KEY.test(key) ? key : quoteString(key)
+}
+
+function formatNumber(value, bigint) {
+  if (Number.isNaN(value)) return 'nan'
+  if (value === Infinity) return 'inf'
+  if (value === -Infinity) return '-inf'
+  if (!bigint && Number.isSafeInteger(value)) return String(value)
+  if (Object.is(value, -0)) return '-0.0'
+  const text = String(value)
+  return /^-?\d+$/.test(text) ? `${text}.0` : text
+}
+
+export function formatValue(value, { bigint = false } = {}) {
+  if (typeof value === 'string') return quoteString(value)
+  if (typeof value === 'bigint') {
+    if (value < INT64_MIN || value > INT64_MAX) throw new RangeError(t('toml.integerOverflow', { value }))
+    return String(value)
+  }
+  if (typeof value === 'number') return formatNumber(value, bigint)
+  if (typeof value === 'boolean') return String(value)
+  if (value instanceof TomlDateTime) return value.value
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new TypeError(t('toml.invalidDateValue'))
+    return value.toISOString()
+  }
+  if (Array.isArray(value)) return `[${value.map(item => formatValue(item, { bigint })).join(', ')}]`
+  if (isTable(value)) {
+    const pairs = Object.entries(value)
+      .filter(([, item]) => item !== undefined && item !== null)
+      .map(([key, item]) => `${formatKey(key)} = ${formatValue(item, { bigint })}`)
+    return pairs.length > 0 ? `{ ${pairs.join(', ')} }` : '{}'
+  }
+  throw new TypeError(t('toml.unrepresentable', { value }))
+}
+
+function isArrayOfTables(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isTable)
+}
+
+function writeTable(table, path, lines, options, header) {
+  const simple = []
+  const tables = []
+  const arrays = []
+  for (const [key, value] of Object.entries(table)) {
+    if (value === undefined || value === null) continue
+    if (isTable(value)) tables.push([key, value])
+    else if (isArrayOfTables(value)) arrays.push([key, value])
+    else simple.push([key, value])
+  }
+
+  // Las tablas sin valores propios no necesitan cabecera salvo que estén vacías
+  if (header === 'array' || (header === 'table' && (simple.length > 0 || tables.length + arrays.length === 0))) {
+    if (lines.length > 0) lines.push('')
+    const name = path.map(formatKey).join('.')
+    lines.push(header === 'array' ? `[[${name}]]` : `[${name}]`)
+  }
+  for (const [key, value] of simple) {
+    lines.push(`${formatKey(key)} = ${formatValue(value, options)}`)
+  }
+  for (const [key, value] of tables) {
+    writeTable(value, [...path, key], lines, options, 'table')
+  }
+  for (const [key, value] of arrays) {
+    for (const item of value) writeTable(item, [...path, key], lines, options, 'array')
+  }
+}
+
+export function stringify(value, { bigint = false } = {}) {
+  if (!isTable(value)) throw new TypeError(t('toml.rootNotTable'))
+  const lines = []
+  writeTable(value, [], lines, { bigint }, null)
+  return lines.length > 0 ? `${lines.join('\n')}\n` : ''
+}
@@ -0,0 +1,92 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { merge3, unifiedDiff } from './diff.js'
+import { UsageError } from './errors.js'
+import { t } from './i18n.js'
+import { runCommand } from './runner.js'
+import { renderTemplate } from './template-engine.js'
+import { resolveTemplatePack } from './templates.js'
+
+const PACKAGE_NAME = 'create-python-modern'
+
+// Obtiene los templates de una versión anterior: un directorio local, un tarball o una versión publicada en npm,
+// que se descarga con `npm pack` y se extrae en `workDir`
+export function fetchTemplateVersion(spec, workDir) {
+  if (fs.existsSync(spec) && fs.statSync(spec).isDirectory()) {
+    return resolveTemplatePack(spec)
+  }
+
+  const target = fs.existsSync(spec)
+    ? path.resolve(spec)
+    : /^\d+\.\d+\.\d+/.test(spec)
+      ? `${PACKAGE_NAME}@${spec}`
+      : spec
+  let tarball
+  try {
+    const output = runCommand('npm', ['pack', target, '--pack-destination', workDir, '--silent'], { cwd: workDir })
+    tarball = path.join(workDir, output.trim().split('\n').pop())
+  } catch (error) {
+    throw new UsageError(`${t('upgrade.fetchFailed', { spec })}: ${error.message}`)
+  }
+  runCommand('tar', ['-xzf', tarball, '-C', workDir])
+  return resolveTemplatePack(path.join(workDir, 'package'))
+}
+
+function renderEntry(store, entry) {
+  if (!store.resolve(entry.source)) return null
+  const { content } = store.readTemplate(entry.source)
+  return renderTemplate(content, entry.context, { name: entry.source })
+}
+
+// Compara el proyecto con los templates actuales. Para cada archivo del manifiesto marcado con "upgrade": true
+// se fusionan a tres bandas la versión de los templates con la que se generó (base), el archivo actual y la nueva
+// versión del template. Con las estrategias "append" y "merge" la base y la nueva versión son el fragmento que se
+// añadió al archivo.
+export function planUpgrade(templates, baseTemplates, dir, context) {
+  const entries = templates.resolveEntries(
+    templates.readManifest().files.filter(entry => entry.upgrade),
+    context,
+  )
+
+  return entries.map(entry => {
+    const destPath = path.join(dir, entry.destination)
+    const base = renderEntry(baseTemplates, entry)
+    const theirs = renderEntry(templates, entry)
+    const plan = { destination: entry.destination, status: 'unchanged', diff: '', text: null, conflicts: [] }
+
+    if (!fs.existsSync(destPath)) {
+      // Si ya existía en la versión original, el usuario lo eliminó a propósito
+      if (base !== null || entry.strategy !== 'write') return { ...plan, status: 'removed' }
+      return {
+        ...plan,
+        status: 'created',
+        text: theirs,
+        diff: unifiedDiff('', theirs, { fromFile: '/dev/null', toFile: `b/${entry.destination}` }),
+      }
+    }
+
+    const ours = fs.readFileSync(destPath, 'utf8')
+    const merged = merge3(base || '', ours, theirs)
+    if (merged.text === ours) return plan
+    return {
+      ...plan,
+      status: merged.conflicts.length > 0 ? 'conflict' : 'updated',
+      text: merged.text,
+      conflicts: merged.conflicts,
+      diff: unifiedDiff(ours, merged.text, { fromFile: `a/${entry.destination}`, toFile: `b/${entry.destination}` }),
+    }
+  })
+}
+
+// Escribe los archivos actualizados o nuevos; los que tienen conflictos no se tocan
+export function applyUpgrade(plans, dir) {
+  const written = []
+  for (const plan of plans) {
+    if (plan.status !== 'updated' && plan.status !== 'created') continue
+    const destPath = path.join(dir, plan.destination)
+    fs.mkdirSync(path.dirname(destPath), { recursive: true })
+    fs.writeFileSync(destPath, plan.text)
+    written.push(plan.destination)
+  }
+  return written
+}
@@ -0,0 +1,207 @@
+import { createHash } from 'crypto'
+import * as fs from 'fs'
+import * as https from 'https'
+import * as os from 'os'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import { UsageError } from './errors.js'
+import { t } from './i18n.js'
+import { importName } from './naming.js'
+import { runCommand } from './runner.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Versión de uv que se instala (solo con consentimiento) y sha256 de cada artefacto de esa release.
+// Se actualiza con `node scripts/update-uv-release.js <versión>`
+const RELEASE_FILE = path.join(__dirname, 'uv-release.json')
+const RELEASES_URL = 'https://github.com/astral-sh/uv/releases/download'
+
+const TARGETS = {
+  'linux-x64': 'x86_64-unknown-linux-gnu',
+  'linux-arm64': 'aarch64-unknown-linux-gnu',
+  'darwin-x64': 'x86_64-apple-darwin',
+  'darwin-arm64': 'aarch64-apple-darwin',
+  'win32-x64': 'x86_64-pc-windows-msvc',
+  'win32-arm64': 'aarch64-pc-windows-msvc',
+}
+
+export function readUvRelease() {
+  return JSON.parse(fs.readFileSync(RELEASE_FILE, 'utf8'))
+}
+
+// Nombre del archivo de la release de uv para una plataforma, p. ej. uv-x86_64-unknown-linux-gnu.tar.gz
+export function uvArtifact(platform = process.platform, arch = process.arch) {
+  const target = TARGETS[`${platform}-${arch}`]
+  if (!target) {
+    throw new UsageError(t('uv.unsupportedPlatform', { platform: `${platform}-${arch}` }))
+  }
+  return `uv-${target}${platform === 'win32' ? '.zip' : '.tar.gz'}`
+}
+
+export function listUvArtifacts() {
+  return Object.keys(TARGETS).map(key => uvArtifact(...key.split('-')))
+}
+
+export function defaultUvInstallDir(env = process.env) {
+  return env.UV_INSTALL_DIR || path.join(os.homedir(), '.local', 'bin')
+}
+
+function executableName(name) {
+  return process.platform === 'win32' ? `${name}.exe` : name
+}
+
+function runsUv(bin, runner) {
+  try {
+    runner(bin, ['--version'], { timeout: 10 * 1000 })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+function findFile(dir, name) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      const found = findFile(entryPath, name)
+      if (found) return found
+    } else if (entry.name === name) {
+      return entryPath
+    }
+  }
+  return null
+}
+
+// Extrae uv (y uvx) de un archivo de la release y los copia a installDir
+function extractUv(archive, installDir) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-uv-'))
+  try {
+    runCommand('tar', ['-xf', archive, '-C', workDir])
+    fs.mkdirSync(installDir, { recursive: true })
+    let bin = null
+    for (const name of ['uv', 'uvx']) {
+      const found = findFile(workDir, executableName(name))
+      if (!found) continue
+      const destination = path.join(installDir, executableName(name))
+      fs.copyFileSync(found, destination)
+      fs.chmodSync(destination, 0o755)
+      if (name === 'uv') bin = destination
+    }
+    if (!bin) throw new Error(t('uv.missingExecutable', { archive: path.basename(archive) }))
+    return bin
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+}
+
+// Ejecutable de uv que se usará en todos los comandos: --uv-path o UV_BIN (un binario, un comando del PATH o un
+// archivo de la release de uv, que se extrae en installDir), uv en el PATH o el instalado antes en installDir.
+// Las rutas relativas se resuelven desde `cwd` y cada candidato se prueba con `uv --version` a través de `runner`
+// (el ejecutor de la generación). Devuelve null si no hay ninguno.
+export function findUv({
+  uvPath,
+  env = process.env,
+  installDir = defaultUvInstallDir(env),
+  cwd = process.cwd(),
+  runner = runCommand,
+} = {}) {
+  const explicit = uvPath || env.UV_BIN
+  if (explicit) {
+    const origin = uvPath ? '--uv-path' : 'UV_BIN'
+    const isCommand = !/[\\/]/.test(explicit) && !fs.existsSync(path.resolve(cwd, explicit))
+    const source = isCommand ? explicit : path.resolve(cwd, explicit)
+    if (!isCommand && !fs.existsSync(source)) throw new UsageError(t('uv.notFound', { origin, path: source }))
+    const bin = /\.(tar\.gz|tgz|zip)$/.test(source) ? extractUv(source, installDir) : source
+    if (!runsUv(bin, runner)) throw new UsageError(t('uv.notUv', { origin, path: bin }))
+    return bin
+  }
+  if (runsUv('uv', runner)) return 'uv'
+  const installed = path.join(installDir, executableName('uv'))
+  return fs.existsSync(installed) && runsUv(installed, runner) ? installed : null
+}
+
+export function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    https
+      .get(url, { headers: { 'User-Agent': 'create-python-modern' } }, response => {
+        if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirects > 0) {
+          response.resume()
+          resolve(download(new URL(response.headers.location, url).toString(), redirects - 1))
+          return
+        }
+        if (response.statusCode !== 200) {
+          response.resume()
+          reject(new Error(t('uv.downloadStatus', { url, status: response.statusCode })))
+          return
+        }
+        const chunks = []
+        response.on('data', chunk => chunks.push(chunk))
+        response.on('end', () => resolve(Buffer.concat(chunks)))
+        response.on('error', reject)
+      })
+      .on('error', error => reject(new Error(t('uv.downloadError', { url, error: error.message }))))
+  })
+}
+
+// Descarga el binario de uv de la release fijada (o de `version`, con su `sha256`), comprueba el sha256 antes de
+// extraer nada y lo instala en installDir. No ejecuta ningún script remoto.
+export async function installUv({
+  version,
+  sha256,
+  installDir = defaultUvInstallDir(),
+  fetchArtifact = download,
+} = {}) {
+  const release = readUvRelease()
+  const uvVersion = version || release.version
+  const artifact = uvArtifact()
+  const expected = sha256 || (uvVersion === release.version ? release.checksums[artifact] : null)
+  if (!expected) {
+    throw new UsageError(t('uv.unknownChecksum', { artifact, version: uvVersion }))
+  }
+
+  const url = `${RELEASES_URL}/${uvVersion}/${artifact}`
+  const content = await fetchArtifact(url)
+  const actual = createHash('sha256').update(content).digest('hex')
+  if (actual !== expected.toLowerCase()) {
+    throw new Error(t('uv.checksumMismatch', { artifact, expected, actual }))
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-uv-'))
+  try {
+    const archive = path.join(workDir, artifact)
+    fs.writeFileSync(archive, content)
+    return { bin: extractUv(archive, installDir), version: uvVersion, url }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+}
+
+// Archivos que crea `uv init --package` (sin los autores, que uv toma de git), para simular la generación sin
+// ejecutar uv. El backend uv_build se acota como lo hace uv: desde la versión fijada hasta la siguiente menor.
+export function previewUvInit(projectName, python, uvVersion = readUvRelease().version) {
+  const moduleName = importName(projectName)
+  const [major, minor] = uvVersion.split('.').map(Number)
+  return {
+    'pyproject.toml': [
+      '[project]',
+      `name = "${projectName}"`,
+      'version = "0.1.0"',
+      'description = "Add your description here"',
+      'readme = "README.md"',
+      `requires-python = ">=${python}"`,
+      'dependencies = []',
+      '',
+      '[project.scripts]',
+      `${projectName} = "${moduleName}:main"`,
+      '',
+      '[build-system]',
+      `requires = ["uv_build>=${uvVersion},<${major}.${minor + 1}.0"]`,
+      'build-backend = "uv_build"',
+      '',
+    ].join('\n'),
+    'README.md': '',
+    '.python-version': `${python}\n`,
+    [`src/${moduleName}/__init__.py`]: `def main() -> None:\n    print("Hello from ${projectName}!")\n`,
+  }
+}
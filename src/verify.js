@@ -0,0 +1,72 @@
+import { normalizeName, requirementName } from './naming.js'
+
+// Comprobaciones de calidad que el proyecto generado trae configuradas, en el orden en que se ejecutan (--verify).
+// Cada una depende de una herramienta del grupo dev: si un pack de templates la quita, la comprobación se omite.
+export const VERIFY_GATES = [
+  { id: 'ruff', tool: 'ruff', command: ['ruff', 'check', '.'] },
+  { id: 'format', tool: 'ruff', command: ['ruff', 'format', '--check', '.'] },
+  { id: 'mypy', tool: 'mypy', command: ['mypy', 'src/'] },
+  { id: 'bandit', tool: 'bandit', command: ['bandit', '-c', 'pyproject.toml', '-r', 'src'] },
+  { id: 'pytest', tool: 'pytest', command: ['pytest', '--cov=src'] },
+]
+
+// Líneas finales de la salida de una comprobación que falla, para el resumen
+const OUTPUT_TAIL_LINES = 20
+
+// Sin valor explícito, --verify se activa en CI (variable CI con cualquier valor salvo "false" o "0")
+export function isCI(env = process.env) {
+  return Boolean(env.CI) && !['false', '0'].includes(env.CI.toLowerCase())
+}
+
+// Comandos `uv run` de las comprobaciones para un proyecto con esas dependencias de desarrollo
+export function planVerify(devDependencies, networkArgs = []) {
+  const installed = new Set(devDependencies.map(dep => normalizeName(requirementName(dep))))
+  return VERIFY_GATES.map(gate => ({
+    id: gate.id,
+    name: gate.command.join(' '),
+    command: ['uv', 'run', ...networkArgs, ...gate.command],
+    available: installed.has(gate.tool),
+  }))
+}
+
+// Ejecuta todas las comprobaciones sin detenerse en la primera que falla. `run(command)` ejecuta un comando y lanza
+// un error con `stdout` y `stderr` si termina mal; `onStart` y `onEnd` informan del progreso de cada una.
+export function runVerify(gates, { run, onStart = () => {}, onEnd = () => {} }) {
+  return gates.map(gate => {
+    const { id, name, command } = gate
+    let result = { id, name, command, status: 'skipped', durationMs: 0, output: '' }
+    if (gate.available) {
+      onStart(gate)
+      const startedAt = Date.now()
+      try {
+        run(command)
+        result = { ...result, status: 'passed' }
+      } catch (error) {
+        result = {
+          ...result,
+          status: 'failed',
+          output: outputTail(`${error.stdout || ''}${error.stderr || ''}` || error.message),
+        }
+      }
+      result.durationMs = Date.now() - startedAt
+    }
+    onEnd(result)
+    return result
+  })
+}
+
+function outputTail(output) {
+  return String(output).trimEnd().split('\n').slice(-OUTPUT_TAIL_LINES).join('\n')
+}
+
+// Filas de la tabla de resultados (comprobación, estado y duración en columnas alineadas), una por resultado.
+// `labels` son los textos de cada estado.
+export function formatVerifyTable(results, labels) {
+  const rows = results.map(result => [
+    result.name,
+    labels[result.status],
+    result.status === 'skipped' ? '' : `${(result.durationMs / 1000).toFixed(1)}s`,
+  ])
+  const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)))
+  return rows.map(([gate, status, duration]) => `${gate.padEnd(widths[0])}  ${status.padEnd(widths[1])}  ${duration}`)
+}
@@ -0,0 +1,132 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { fileURLToPath } from 'url'
+import {
+  addFeature,
+  CommandError,
+  ConflictError,
+  createProject,
+  createRecordingRunner,
+  renderTemplates,
+  TomlError,
+  UsageError,
+} from '../src/index.js'
+import { runCommand } from '../src/runner.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const FAKE_UV = path.join(__dirname, 'fixtures', 'fake-uv', 'uv')
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-api-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+function memoryLogger() {
+  const events = []
+  return {
+    events,
+    start: step => events.push(['start', step]),
+    succeed: () => events.push(['succeed']),
+    fail: text => events.push(['fail', text]),
+  }
+}
+
+// El uv falso es un script de Node sin extensión, que Windows no puede ejecutar
+describe('api', { skip: process.platform === 'win32' }, () => {
+  it('renderTemplates devuelve el plan sin escribir nada', () => {
+    const plan = renderTemplates({ projectName: 'Demo.Plan', cwd: workDir, lang: 'es', verify: false })
+    assert.equal(plan.project.path, path.join(workDir, 'demo-plan'))
+    assert.deepEqual(plan.steps[0].command, ['uv', 'init', '--package', '--python', '3.12', 'demo-plan'])
+    assert.ok(plan.files.some(file => file.path === 'src/demo_plan/main.py'))
+    assert.ok(!fs.existsSync(plan.project.path))
+  })
+
+  it('createProject genera el proyecto desde cwd con el ejecutor y el logger indicados', async () => {
+    // Registra cada comando y lo ejecuta con el uv falso: no hace falta uv en el sistema
+    const runner = createRecordingRunner((file, args, options) => runCommand(FAKE_UV, args, options))
+    const logger = memoryLogger()
+    const result = await createProject({
+      projectName: 'demo-api',
+      cwd: workDir,
+      lang: 'es',
+      precommit: false,
+      verify: false,
+      runner,
+      logger,
+    })
+    assert.equal(result.status, 'success')
+    assert.equal(result.projectPath, path.join(workDir, 'demo-api'))
+    assert.ok(result.files.includes('pyproject.toml'))
+    assert.deepEqual(
+      runner.calls.map(call => call.command.slice(0, 2)),
+      [
+        ['uv', '--version'],
+        ['uv', 'init'],
+        ['uv', 'add'],
+        ['uv', 'sync'],
+      ],
+    )
+    assert.equal(runner.calls[3].cwd, result.projectPath)
+    // Con un ejecutor propio no se escribe el registro de comandos
+    assert.ok(!result.files.includes('.create-python-modern.log'))
+    assert.deepEqual(
+      logger.events.filter(([event]) => event === 'start').map(([, step]) => step),
+      ['uv', 'init', 'templates', 'dependencies', 'move', 'sync'],
+    )
+  })
+
+  it('createProject lanza errores tipados y deshace lo generado si falla un comando', async () => {
+    await assert.rejects(createProject({ projectName: 'foo;id', cwd: workDir }), UsageError)
+    // Los conflictos con el proyecto que ya existe se detectan antes de ejecutar ningún comando
+    const recording = createRecordingRunner()
+    await assert.rejects(createProject({ projectName: 'demo-api', cwd: workDir, runner: recording }), ConflictError)
+    assert.deepEqual(recording.calls, [])
+
+    // uv "existe" (responde a --version), pero falla todo lo demás
+    const failing = (file, args) => {
+      if (args[0] === '--version') return 'uv 0.8.17'
+      throw new CommandError('uv falló', { command: [file, ...args], status: 2 })
+    }
+    await assert.rejects(
+      createProject({ projectName: 'demo-failed', cwd: workDir, runner: failing, verify: false }),
+      error =>
+        error instanceof CommandError && error.status === 2 && error.projectPath === path.join(workDir, 'demo-failed'),
+    )
+    assert.deepEqual(
+      fs.readdirSync(workDir).filter(entry => entry.includes('demo-failed')),
+      [],
+    )
+  })
+
+  it('addFeature aplica la feature y deja pendientes los comandos sin install', async () => {
+    const result = await addFeature('demo-api', 'fastapi', { cwd: workDir, install: false })
+    assert.ok(result.written.includes('src/demo_api/api.py'))
+    assert.deepEqual(result.pending, [
+      ['uv', 'add', 'fastapi', 'uvicorn'],
+      ['uv', 'add', '--dev', 'httpx'],
+    ])
+    const lock = JSON.parse(fs.readFileSync(path.join(workDir, 'demo-api', '.create-python-modern.json'), 'utf8'))
+    assert.ok(lock.features.includes('fastapi'))
+  })
+
+  it('addFeature no escribe nada si el pyproject.toml combinado no es válido', async () => {
+    const pack = path.join(workDir, 'broken-pack')
+    fs.mkdirSync(path.join(pack, 'features', 'broken'), { recursive: true })
+    fs.writeFileSync(
+      path.join(pack, 'features', 'broken', 'feature.json'),
+      JSON.stringify({
+        files: [{ source: 'features/broken/broken.py.template', destination: 'src/{{ module_name }}/broken.py' }],
+        pyproject: 'features/broken/pyproject.toml',
+      }),
+    )
+    fs.writeFileSync(path.join(pack, 'features', 'broken', 'broken.py.template'), '')
+    fs.writeFileSync(path.join(pack, 'features', 'broken', 'pyproject.toml'), '[tool.broken]\nvalue = 1\nvalue = 2\n')
+
+    const dir = path.join(workDir, 'demo-api')
+    const pyproject = fs.readFileSync(path.join(dir, 'pyproject.toml'), 'utf8')
+    await assert.rejects(addFeature(dir, 'broken', { install: false, template: pack }), TomlError)
+    assert.equal(fs.readFileSync(path.join(dir, 'pyproject.toml'), 'utf8'), pyproject)
+    assert.ok(!fs.existsSync(path.join(dir, 'src', 'demo_api', 'broken.py')))
+  })
+})
@@ -0,0 +1,54 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { getGlobalConfigPath, loadConfig } from '../src/config.js'
+import { UsageError } from '../src/errors.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-test-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+function writeFile(file, content) {
+  const filePath = path.join(workDir, file)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, content)
+  return filePath
+}
+
+describe('config', () => {
+  it('combina la configuración global con la de --config, que tiene prioridad', () => {
+    const globalPath = writeFile(
+      'global/config.toml',
+      'author = "Ana"\nlicense = "MIT"\ntemplate = "./pack"\ndependencies = ["httpx"]\n',
+    )
+    const configPath = writeFile('project/defaults.json', JSON.stringify({ license: 'Apache-2.0', precommit: false }))
+    const config = loadConfig({ configPath, globalPath })
+    assert.deepEqual(config.values, {
+      author: 'Ana',
+      license: 'Apache-2.0',
+      template: './pack',
+      dependencies: ['httpx'],
+      precommit: false,
+    })
+    assert.equal(config.dirs.template, path.dirname(globalPath))
+    assert.equal(config.dirs.license, path.dirname(configPath))
+  })
+
+  it('usa config.toml si no hay config.json', () => {
+    writeFile('xdg/create-python-modern/config.toml', 'type = "cli"\n')
+    assert.equal(
+      getGlobalConfigPath({ XDG_CONFIG_HOME: path.join(workDir, 'xdg') }),
+      path.join(workDir, 'xdg', 'create-python-modern', 'config.toml'),
+    )
+  })
+
+  it('rechaza claves desconocidas, tipos incorrectos y archivos que no existen', () => {
+    const globalPath = path.join(workDir, 'none.json')
+    const unknown = writeFile('unknown.json', JSON.stringify({ autor: 'Ana' }))
+    const wrongType = writeFile('wrong.json', JSON.stringify({ dependencies: 'httpx' }))
+    assert.throws(() => loadConfig({ configPath: unknown, globalPath }), /autor/)
+    assert.throws(() => loadConfig({ configPath: wrongType, globalPath }), UsageError)
+    assert.throws(() => loadConfig({ configPath: path.join(workDir, 'missing.json'), globalPath }), UsageError)
+  })
+})
@@ -0,0 +1,49 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { merge3, unifiedDiff } from '../src/diff.js'
+
+const BASE = 'a\nb\nc\nd\ne\n'
+
+describe('diff', () => {
+  it('unifiedDiff muestra los cambios con su contexto y nada si no hay cambios', () => {
+    assert.equal(unifiedDiff(BASE, BASE), '')
+    assert.equal(
+      unifiedDiff(BASE, 'a\nb\nC\nd\ne\n', { fromFile: 'a/x', toFile: 'b/x', context: 1 }),
+      '--- a/x\n+++ b/x\n@@ -2,3 +2,3 @@\n b\n-c\n+C\n d\n',
+    )
+    assert.equal(
+      unifiedDiff('', 'a\n', { fromFile: '/dev/null', toFile: 'b/x' }),
+      '--- /dev/null\n+++ b/x\n@@ -0,0 +1,1 @@\n+a\n',
+    )
+  })
+
+  it('merge3 aplica los cambios del template si el proyecto no cambió ese bloque', () => {
+    const onlyTheirs = merge3(BASE, BASE, 'a\nb\nC\nd\ne\n')
+    assert.equal(onlyTheirs.text, 'a\nb\nC\nd\ne\n')
+    assert.deepEqual(onlyTheirs.conflicts, [])
+
+    const onlyOurs = merge3(BASE, 'a\nB\nc\nd\ne\n', BASE)
+    assert.equal(onlyOurs.text, 'a\nB\nc\nd\ne\n')
+    assert.deepEqual(onlyOurs.conflicts, [])
+
+    const both = merge3(BASE, 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\nf\n')
+    assert.equal(both.text, 'a\nB\nc\nd\nE\nf\n')
+    assert.deepEqual(both.conflicts, [])
+  })
+
+  it('merge3 marca los bloques que los dos lados cambian de forma distinta', () => {
+    const result = merge3(BASE, 'a\nb\nnuestro\nd\ne\n', 'a\nb\nsuyo\nd\ne\n')
+    assert.equal(result.text, 'a\nb\n<<<<<<< actual\nnuestro\n=======\nsuyo\n>>>>>>> template\nd\ne\n')
+    assert.deepEqual(result.conflicts, [{ line: 3, base: ['c'], ours: ['nuestro'], theirs: ['suyo'] }])
+
+    const labels = merge3(BASE, 'a\nb\nnuestro\nd\ne\n', 'a\nb\nsuyo\nd\ne\n', { oursLabel: 'x', theirsLabel: 'y' })
+    assert.match(labels.text, /^<<<<<<< x$[^]*^>>>>>>> y$/m)
+  })
+
+  it('merge3 funciona con archivos sin salto de línea final', () => {
+    const result = merge3('a\nb', 'a\nb', 'a\nb\nc')
+    assert.equal(result.text, 'a\nb\nc')
+    assert.deepEqual(result.conflicts, [])
+    assert.equal(merge3('a\nb\n', 'x\na\nb', 'a\nb\n').text, 'x\na\nb\n')
+  })
+})
@@ -0,0 +1,232 @@
+import assert from 'assert/strict'
+import { spawnSync } from 'child_process'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { fileURLToPath } from 'url'
+import { listTree } from '../src/placement.js'
+
+// Generación completa con la CLI real y un uv falso (test/fixtures/fake-uv/uv) en el PATH. Cada archivo generado se
+// compara con su snapshot en test/snapshots/; para actualizarlos tras un cambio intencionado en los templates:
+//   UPDATE_SNAPSHOTS=1 npm test
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const CLI = path.join(__dirname, '..', 'bin', 'index.js')
+const FAKE_UV_DIR = path.join(__dirname, 'fixtures', 'fake-uv')
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots')
+const UPDATE_SNAPSHOTS = Boolean(process.env.UPDATE_SNAPSHOTS)
+// El uv falso no ejecuta las comprobaciones del proyecto generado: los snapshots se pasan por el ruff real si está
+// en el PATH
+const HAS_RUFF = spawnSync('ruff', ['--version']).status === 0
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-e2e-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+let runCount = 0
+
+// Ejecuta la CLI en un directorio nuevo, sin configuración del usuario ni variables que cambien el resultado
+function runCli(args, { env = {} } = {}) {
+  const cwd = path.join(workDir, `run-${++runCount}`)
+  fs.mkdirSync(cwd)
+  const log = path.join(cwd, 'uv-calls.log')
+  const baseEnv = Object.fromEntries(
+    Object.entries(process.env).filter(([key]) => !key.startsWith('CREATE_PYTHON_MODERN_') && key !== 'CI'),
+  )
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    encoding: 'utf8',
+    timeout: 60000,
+    env: {
+      ...baseEnv,
+      PATH: `${FAKE_UV_DIR}${path.delimiter}${process.env.PATH}`,
+      XDG_CONFIG_HOME: path.join(cwd, 'xdg'),
+      FAKE_UV_LOG: log,
+      ...env,
+    },
+  })
+  const calls = fs.existsSync(log)
+    ? fs
+        .readFileSync(log, 'utf8')
+        .trim()
+        .split('\n')
+        .map(line => JSON.parse(line).args)
+    : []
+  return { ...result, cwd, calls, json: () => JSON.parse(result.stdout) }
+}
+
+// Contenido de todos los archivos del proyecto, sin el entorno virtual, uv.lock (que genera uv) ni el registro de
+// comandos, y con los datos que cambian en cada ejecución reemplazados
+function readProject(projectPath) {
+  const year = String(new Date().getFullYear())
+  return listTree(projectPath)
+    .files.filter(file => !file.startsWith('.venv/') && !['uv.lock', '.create-python-modern.log'].includes(file))
+    .sort()
+    .map(file => {
+      let content = fs.readFileSync(path.join(projectPath, file), 'utf8')
+      if (file === '.create-python-modern.json') {
+        content = content
+          .replace(/"generatedAt": "[^"]*"/, '"generatedAt": "<fecha>"')
+          .replace(/"version": "[^"]*"/, '"version": "<versión>"')
+          .replace(/"LICENSE": "sha256:[^"]*"/, '"LICENSE": "sha256:<año>"')
+      }
+      if (file === 'LICENSE') content = content.replaceAll(year, '<año>')
+      return [file, content]
+    })
+}
+
+function assertSnapshot(name, files) {
+  const actual = files.map(([file, content]) => `==> ${file} <==\n${content}`).join('\n')
+  const snapshotPath = path.join(SNAPSHOTS_DIR, `${name}.snap`)
+  if (UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true })
+    fs.writeFileSync(snapshotPath, actual)
+    return
+  }
+  assert.ok(fs.existsSync(snapshotPath), `Falta el snapshot ${snapshotPath}: ejecuta UPDATE_SNAPSHOTS=1 npm test`)
+  assert.equal(actual, fs.readFileSync(snapshotPath, 'utf8'))
+}
+
+// Escribe en `dir` los archivos de un snapshot
+function extractSnapshot(name, dir) {
+  const content = fs.readFileSync(path.join(SNAPSHOTS_DIR, `${name}.snap`), 'utf8')
+  const [, ...parts] = content.split(/^==> (.+) <==\n/m)
+  for (let index = 0; index < parts.length; index += 2) {
+    const file = path.join(dir, parts[index])
+    // assertSnapshot une los archivos con un salto de línea más
+    const isLast = index + 2 >= parts.length
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, isLast ? parts[index + 1] : parts[index + 1].slice(0, -1))
+  }
+}
+
+// El uv falso es un script de Node sin extensión, que Windows no puede ejecutar desde el PATH
+describe('e2e', { skip: process.platform === 'win32' }, () => {
+  for (const type of ['app', 'library', 'cli', 'fastapi', 'pipeline']) {
+    it(`genera un proyecto ${type} completo`, () => {
+      const result = runCli(['demo-project', '--yes', '--json', '--lang', 'es', '--type', type])
+      assert.equal(result.status, 0, result.stderr)
+      const output = result.json()
+      assert.equal(output.status, 'success')
+      assert.equal(output.projectPath, path.join(result.cwd, 'demo-project'))
+      assert.deepEqual(
+        result.calls.map(args => args[0]),
+        [
+          '--version',
+          'init',
+          ...(type === 'library' ? [] : ['add']),
+          ...(type === 'fastapi' ? ['add'] : []),
+          'sync',
+          'run',
+        ],
+      )
+      assert.ok(fs.existsSync(path.join(output.projectPath, '.venv')))
+      const log = fs.readFileSync(path.join(output.projectPath, '.create-python-modern.log'), 'utf8')
+      assert.match(log, /\$ uv sync\n/)
+      assertSnapshot(type, readProject(output.projectPath))
+    })
+  }
+
+  it('genera los metadatos, la licencia y las features elegidas, en inglés', () => {
+    const result = runCli([
+      'Demo.Service',
+      '--yes',
+      '--json',
+      '--lang',
+      'en',
+      '--description',
+      'A demo service',
+      '--author',
+      'Ana Pérez',
+      '--email',
+      'ana@example.com',
+      '--license',
+      'MIT',
+      '--features',
+      'cli,docker,github-actions',
+      '--dev-deps',
+      'hypothesis',
+      '--no-claude',
+    ])
+    assert.equal(result.status, 0, result.stderr)
+    const output = result.json()
+    assert.equal(output.projectName, 'demo-service')
+    assert.ok(output.dependencies.dev.includes('hypothesis'))
+    assertSnapshot('app-metadata-en', readProject(output.projectPath))
+  })
+
+  it('con --no-install solo añade las dependencias a pyproject.toml', () => {
+    const result = runCli(['demo-project', '--yes', '--json', '--no-install'])
+    assert.equal(result.status, 0, result.stderr)
+    assert.deepEqual(
+      result.calls.map(args => args.slice(0, 2)),
+      [['--version'], ['init', '--package'], ['add', '--frozen']],
+    )
+    assert.ok(!fs.existsSync(path.join(result.cwd, 'demo-project', '.venv')))
+  })
+
+  it('si uv falla, no deja nada en el directorio de destino', () => {
+    const result = runCli(['demo-project', '--yes', '--json'], { env: { FAKE_UV_FAIL: '^add' } })
+    assert.equal(result.status, 1)
+    const output = result.json()
+    assert.equal(output.status, 'failed')
+    assert.match(result.stderr, /fallo simulado/)
+    // El registro de comandos se guarda fuera del proyecto borrado
+    assert.ok(!output.commandLog.startsWith(result.cwd))
+    assert.match(fs.readFileSync(output.commandLog, 'utf8'), /\$ uv add .*\n[^]*fallo simulado/)
+    fs.rmSync(path.dirname(output.commandLog), { recursive: true, force: true })
+    assert.deepEqual(
+      fs.readdirSync(result.cwd).filter(entry => entry !== 'uv-calls.log'),
+      [],
+    )
+  })
+
+  it('con --verify termina con código 4 si el proyecto no pasa una comprobación, y lo conserva', () => {
+    const result = runCli(['demo-project', '--yes', '--json', '--verify'], { env: { FAKE_UV_FAIL: '^run mypy' } })
+    assert.equal(result.status, 4)
+    const output = result.json()
+    assert.deepEqual(
+      output.verify.map(gate => [gate.id, gate.status]),
+      [
+        ['ruff', 'passed'],
+        ['format', 'passed'],
+        ['mypy', 'failed'],
+        ['bandit', 'passed'],
+        ['pytest', 'passed'],
+      ],
+    )
+    assert.ok(fs.existsSync(path.join(result.cwd, 'demo-project', 'pyproject.toml')))
+  })
+
+  it('en un directorio existente termina con código 3 ante un conflicto, sin ejecutar uv', () => {
+    const cwd = path.join(workDir, 'existing')
+    fs.mkdirSync(path.join(cwd, 'demo-project'), { recursive: true })
+    fs.writeFileSync(path.join(cwd, 'demo-project', 'README.md'), '# Mi README\n')
+    const result = runCli(['demo-project', '--yes', '--json', '--dir', cwd])
+    assert.equal(result.status, 3)
+    assert.match(result.json().error, /README\.md/)
+    assert.deepEqual(result.calls, [])
+    assert.deepEqual(fs.readdirSync(path.join(cwd, 'demo-project')), ['README.md'])
+  })
+
+  it('rechaza un nombre inválido sin ejecutar uv', () => {
+    const result = runCli(['foo;id', '--yes'])
+    assert.equal(result.status, 2)
+    assert.deepEqual(result.calls, [])
+  })
+})
+
+describe('snapshots', { skip: !HAS_RUFF && 'ruff no está en el PATH' }, () => {
+  for (const name of fs.readdirSync(SNAPSHOTS_DIR).map(file => path.basename(file, '.snap'))) {
+    it(`el proyecto ${name} pasa ruff check y ruff format --check`, () => {
+      const dir = path.join(workDir, `snapshot-${name}`)
+      extractSnapshot(name, dir)
+      for (const args of [
+        ['check', '--no-cache', '.'],
+        ['format', '--check', '--no-cache', '.'],
+      ]) {
+        const result = spawnSync('ruff', args, { cwd: dir, encoding: 'utf8' })
+        assert.equal(result.status, 0, `ruff ${args.join(' ')}\n${result.stdout}${result.stderr}`)
+      }
+    })
+  }
+})
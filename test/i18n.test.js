@@ -0,0 +1,49 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { UsageError } from '../src/errors.js'
+import { detectLanguage, loadCatalog, localize, SUPPORTED_LANGUAGES, t } from '../src/i18n.js'
+import { TemplateStore } from '../src/templates.js'
+
+function catalogKeys(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, value]) =>
+    typeof value === 'object' ? catalogKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`],
+  )
+}
+
+describe('i18n', () => {
+  it('los catálogos de todos los idiomas tienen las mismas claves', () => {
+    const [reference, ...others] = SUPPORTED_LANGUAGES.map(lang => catalogKeys(loadCatalog(lang)).sort())
+    for (const keys of others) {
+      assert.deepEqual(keys, reference)
+    }
+  })
+
+  it('detecta el idioma con --lang o con el locale del entorno', () => {
+    assert.equal(detectLanguage({ argv: ['demo', '--lang', 'en'], env: { LANG: 'es_ES.UTF-8' } }), 'en')
+    assert.equal(detectLanguage({ argv: ['--lang=es'], env: { LANG: 'en_US.UTF-8' } }), 'es')
+    assert.equal(detectLanguage({ env: { LC_ALL: 'en_GB.UTF-8', LANG: 'es_ES.UTF-8' } }), 'en')
+    assert.equal(detectLanguage({ env: { LANG: 'de_DE.UTF-8' } }), 'en')
+    assert.equal(detectLanguage({ env: { LANG: 'C' } }), 'es')
+    assert.equal(detectLanguage({ env: {} }), 'es')
+    assert.throws(() => detectLanguage({ argv: ['--lang', 'fr'] }), UsageError)
+  })
+
+  it('sustituye los parámetros del mensaje en el idioma pedido', () => {
+    assert.equal(t('add.created', { file: 'Dockerfile' }, 'en'), 'Created Dockerfile')
+    assert.equal(t('add.created', { file: 'Dockerfile' }, 'es'), 'Creado Dockerfile')
+    assert.equal(t('no.existe'), 'no.existe')
+  })
+
+  it('localiza las descripciones de los templates', () => {
+    assert.equal(localize({ en: 'Tests', es: 'Pruebas' }, 'en'), 'Tests')
+    assert.equal(localize('Texto', 'en'), 'Texto')
+  })
+
+  it('usa la traducción del template en el idioma del proyecto', () => {
+    assert.match(new TemplateStore([], { lang: 'en' }).readTemplate('.claude.md.template').content, /MANDATORY RULES/)
+    assert.match(
+      new TemplateStore([], { lang: 'es' }).readTemplate('.claude.md.template').content,
+      /REGLAS OBLIGATORIAS/,
+    )
+  })
+})
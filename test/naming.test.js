@@ -0,0 +1,47 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { UsageError } from '../src/errors.js'
+import { importName, normalizeName, projectNameProblem, projectNames, readNameList } from '../src/naming.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-test-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+describe('naming', () => {
+  it('deriva los nombres de distribución, de importación y para mostrar', () => {
+    assert.deepEqual(projectNames('My.Project'), {
+      distribution: 'my-project',
+      module: 'my_project',
+      display: 'My.Project',
+    })
+    assert.equal(normalizeName('Foo__Bar-.baz'), 'foo-bar-baz')
+    assert.equal(importName('Foo.Bar'), 'foo_bar')
+  })
+
+  it('rechaza nombres que no cumplen PEP 508, como los que tienen espacios o caracteres de la shell', () => {
+    for (const name of ['foo bar', 'foo;rm -rf ~', '$(id)', '-foo', 'foo.', '']) {
+      assert.match(projectNameProblem(name), /PEP 508/, name)
+    }
+    assert.equal(projectNameProblem('My.Project'), null)
+  })
+
+  it('rechaza palabras clave, módulos de la librería estándar y herramientas de empaquetado', () => {
+    assert.match(projectNameProblem('async'), /palabra reservada/)
+    assert.match(projectNameProblem('Test'), /librería estándar/)
+    assert.match(projectNameProblem('json'), /librería estándar/)
+    assert.match(projectNameProblem('2fa'), /número/)
+    assert.match(projectNameProblem('Pip'), /empaquetado/)
+  })
+
+  it('rechaza los nombres de sus dependencias y los de la lista de nombres ocupados', () => {
+    const listPath = path.join(workDir, 'names.txt')
+    fs.writeFileSync(listPath, '# nombres de PyPI\nRequests\nflask_login\n\n')
+    const takenNames = readNameList(listPath)
+    assert.match(projectNameProblem('requests', { takenNames }), /ocupados/)
+    assert.match(projectNameProblem('Flask.Login', { takenNames }), /ocupados/)
+    assert.match(projectNameProblem('Pydantic', { dependencies: ['pydantic>=2'] }), /pydantic>=2/)
+    assert.throws(() => readNameList(path.join(workDir, 'missing.txt')), UsageError)
+  })
+})
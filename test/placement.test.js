@@ -0,0 +1,73 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { applyPlacement, planPlacement, revertPlacement } from '../src/placement.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-test-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+function writeTree(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+  }
+}
+
+function readTree(dir, prefix = '') {
+  const tree = {}
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name
+    if (entry.isDirectory()) Object.assign(tree, readTree(dir, relPath))
+    else tree[relPath] = fs.readFileSync(path.join(dir, relPath), 'utf8')
+  }
+  return tree
+}
+
+function setup(name) {
+  const sourceDir = path.join(workDir, name, 'generated')
+  const targetDir = path.join(workDir, name, 'target')
+  writeTree(sourceDir, {
+    'README.md': '# nuevo\n',
+    'pyproject.toml': '[project]\n',
+    '.gitignore': '.venv\n',
+    'src/pkg/__init__.py': '',
+  })
+  writeTree(targetDir, { 'README.md': '# existente\n', '.gitignore': '.venv\n', 'notas.txt': 'mías\n' })
+  return { sourceDir, targetDir, backupDir: path.join(workDir, name, 'backup') }
+}
+
+describe('placement', () => {
+  it('separa los archivos nuevos de los conflictos e ignora los idénticos', () => {
+    const { sourceDir, targetDir } = setup('plan')
+    const plan = planPlacement(sourceDir, targetDir)
+    assert.deepEqual(plan.files, ['pyproject.toml', 'src/pkg/__init__.py'])
+    assert.deepEqual(
+      plan.conflicts.map(conflict => conflict.file),
+      ['README.md'],
+    )
+    assert.match(plan.conflicts[0].diff, /-# existente\n\+# nuevo/)
+  })
+
+  it('aplica cada resolución sin tocar los archivos ajenos', () => {
+    const { sourceDir, targetDir, backupDir } = setup('apply')
+    const plan = planPlacement(sourceDir, targetDir)
+    const journal = applyPlacement(plan, { 'README.md': 'new' }, { sourceDir, targetDir, backupDir })
+    assert.deepEqual(journal.renamed, ['README.md'])
+    assert.equal(readTree(targetDir)['README.md'], '# existente\n')
+    assert.equal(readTree(targetDir)['README.md.new'], '# nuevo\n')
+    assert.equal(readTree(targetDir)['notas.txt'], 'mías\n')
+  })
+
+  it('revierte lo escrito y restaura los archivos sobrescritos', () => {
+    const { sourceDir, targetDir, backupDir } = setup('revert')
+    const before = readTree(targetDir)
+    const plan = planPlacement(sourceDir, targetDir)
+    const journal = applyPlacement(plan, { 'README.md': 'overwrite' }, { sourceDir, targetDir, backupDir })
+    assert.equal(readTree(targetDir)['README.md'], '# nuevo\n')
+    revertPlacement(journal)
+    assert.deepEqual(readTree(targetDir), before)
+    assert.equal(fs.existsSync(path.join(targetDir, 'src')), false)
+  })
+})
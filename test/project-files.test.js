@@ -0,0 +1,73 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { renderProjectFiles } from '../src/project-files.js'
+import { pythonContext } from '../src/python-version.js'
+import { TemplateStore } from '../src/templates.js'
+import { parse } from '../src/toml.js'
+import { previewUvInit } from '../src/uv.js'
+
+function render(type, existing, metadata = {}, features = []) {
+  const templates = new TemplateStore()
+  const context = {
+    project_name: 'demo-app',
+    module_name: 'demo_app',
+    display_name: 'Demo.App',
+    archetype: type,
+    ...pythonContext('3.12'),
+    dependencies: [],
+    precommit: true,
+    description: null,
+    author: null,
+    email: null,
+    license: null,
+    license_file: false,
+    year: 2025,
+    claude: true,
+    features,
+    ...metadata,
+  }
+  const archetype = templates.loadArchetype(type, context)
+  context.entry_point = Object.keys(archetype.scripts)[0] || null
+  context.asyncio = archetype.asyncio
+  return renderProjectFiles(templates, archetype, templates.resolveManifest(context, archetype, features), existing)
+}
+
+describe('project-files', () => {
+  it('combina el pyproject.toml de uv init con la configuración de los templates', () => {
+    const files = render('cli', previewUvInit('demo-app', '3.12', '0.8.17'))
+    const pyproject = parse(files['pyproject.toml'])
+    assert.equal(pyproject.project.name, 'demo-app')
+    assert.deepEqual(pyproject.project.scripts, { 'demo-app': 'demo_app.cli:app' })
+    assert.deepEqual(pyproject['build-system'].requires, ['uv_build>=0.8.17,<0.9.0'])
+    assert.equal(pyproject.tool.ruff['target-version'], 'py312')
+    assert.ok('src/demo_app/cli.py' in files)
+  })
+
+  it('reemplaza autores y licencia del pyproject.toml con los de la configuración', () => {
+    const uvInit = previewUvInit('demo-app', '3.12')
+    uvInit['pyproject.toml'] = uvInit['pyproject.toml'].replace(
+      'readme = "README.md"',
+      'readme = "README.md"\nauthors = [\n    { name = "git user", email = "git@example.com" },\n]',
+    )
+    const files = render('app', uvInit, { author: 'Ana "dev" Pérez', email: 'ana@example.com', license: 'MIT' })
+    const { project } = parse(files['pyproject.toml'])
+    assert.deepEqual(project.authors, [{ name: 'Ana "dev" Pérez', email: 'ana@example.com' }])
+    assert.equal(project.license, 'MIT')
+  })
+
+  it('añade los archivos, el pyproject.toml de las features elegidas y el texto de la licencia', () => {
+    const metadata = { author: 'Ana', license: 'MIT', license_file: true, claude: false }
+    const files = render('library', previewUvInit('demo-app', '3.12'), metadata, ['cli', 'docker'])
+    assert.deepEqual(parse(files['pyproject.toml']).project.scripts, { 'demo-app': 'demo_app.cli:app' })
+    assert.ok('src/demo_app/cli.py' in files)
+    assert.ok('Dockerfile' in files)
+    assert.match(files.LICENSE, /^MIT License\n\nCopyright \(c\) 2025 Ana\n/)
+    assert.equal('.claude.md' in files, false)
+  })
+
+  it('no sobrescribe los archivos marcados con overwrite: false', () => {
+    const files = render('app', { ...previewUvInit('demo-app', '3.12'), 'tests/__init__.py': '# propio\n' })
+    assert.equal('tests/__init__.py' in files, false)
+    assert.ok('tests/test_main.py' in files)
+  })
+})
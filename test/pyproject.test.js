@@ -0,0 +1,123 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { mergeToml, setProjectScripts } from '../src/pyproject.js'
+import { parse } from '../src/toml.js'
+
+const EXISTING = `[project]
+name = "demo"  # nombre
+dependencies = []
+
+[dependency-groups]
+dev = [
+    "pytest>=8.0",
+]
+
+[tool.ruff]
+target-version = "py310"
+
+[[tool.mypy.overrides]]
+module = "a.*"
+`
+
+const FRAGMENT = `[dependency-groups]
+dev = [
+    "pytest>=7.0.0",
+    "ruff>=0.5.0",
+]
+
+[tool.ruff]
+target-version = "py312"
+line-length = 120
+
+[[tool.mypy.overrides]]
+module = "a.*"
+
+[[tool.mypy.overrides]]
+module = "b.*"
+ignore_errors = true
+
+# Tests
+[tool.pytest.ini_options]
+testpaths = ["tests"]
+`
+
+describe('pyproject', () => {
+  it('mergeToml añade lo que falta y conserva el documento, con union y override', () => {
+    const result = mergeToml(EXISTING, FRAGMENT, {
+      union: ['dependency-groups.dev'],
+      override: ['tool.ruff.target-version'],
+    })
+    const merged = parse(result.text)
+    assert.equal(merged.project.name, 'demo')
+    assert.match(result.text, /name = "demo" {2}# nombre\n/)
+    assert.deepEqual(merged['dependency-groups'].dev, ['pytest>=8.0', 'ruff>=0.5.0'])
+    assert.deepEqual(merged.tool.ruff, { 'target-version': 'py312', 'line-length': 120 })
+    assert.deepEqual(
+      merged.tool.mypy.overrides.map(override => override.module),
+      ['a.*', 'b.*'],
+    )
+    assert.match(result.text, /# Tests\n\[tool\.pytest\.ini_options\]/)
+    assert.deepEqual(result.updated, ['dependency-groups.dev', 'tool.ruff.target-version'])
+    assert.deepEqual(result.added, [
+      'tool.ruff.line-length',
+      '[[tool.mypy.overrides]]',
+      'tool.pytest.ini_options.testpaths',
+    ])
+  })
+
+  it('mergeToml no cambia nada si el fragmento ya está aplicado', () => {
+    const once = mergeToml(EXISTING, FRAGMENT, { union: ['dependency-groups.dev'] }).text
+    const twice = mergeToml(once, FRAGMENT, { union: ['dependency-groups.dev'] })
+    assert.equal(twice.text, once)
+    assert.deepEqual(twice.added, [])
+    assert.deepEqual(twice.updated, [])
+  })
+
+  it('mergeToml compara rutas completas aunque las tablas estén escritas con claves con puntos', () => {
+    const fragment =
+      '[tool.ruff]\nline-length = 88\n\n[tool.ruff.lint]\nselect = ["E"]\n# Ignoradas\nignore = ["S101"]\n'
+
+    const dotted = mergeToml('[tool.ruff]\nlint.select = ["B"]\n', fragment, { union: ['tool.ruff.lint.select'] })
+    assert.deepEqual(parse(dotted.text).tool.ruff, {
+      lint: { select: ['B', 'E'], ignore: ['S101'] },
+      'line-length': 88,
+    })
+    assert.match(dotted.text, /# Ignoradas\nlint\.ignore = \["S101"\]\n/)
+    assert.deepEqual(dotted.updated, ['tool.ruff.lint.select'])
+
+    const root = mergeToml('tool.ruff.line-length = 100\n\n[project]\nname = "demo"\n', fragment)
+    assert.deepEqual(parse(root.text).tool.ruff, { 'line-length': 100, lint: { select: ['E'], ignore: ['S101'] } })
+    assert.deepEqual(root.kept, ['tool.ruff.line-length'])
+
+    const implicit = mergeToml(
+      '[tool.ruff.lint]\nselect = ["B"]\n',
+      '[tool.ruff]\nlint = { select = ["E"] }\nfix = true\n',
+    )
+    assert.deepEqual(parse(implicit.text).tool.ruff, { lint: { select: ['B'] }, fix: true })
+    assert.deepEqual(implicit.kept, ['tool.ruff.lint'])
+  })
+
+  it('mergeToml no confunde cabeceras con el contenido de un string multilínea', () => {
+    const text = '[project]\nname = "demo"\ndescription = """\n[tool.ruff]\n"""\n'
+    const result = mergeToml(text, '[tool.ruff]\nline-length = 88\n')
+    assert.ok(result.text.startsWith(text))
+    assert.equal(parse(result.text).project.description, '[tool.ruff]\n')
+    assert.equal(parse(result.text).tool.ruff['line-length'], 88)
+  })
+
+  it('setProjectScripts reemplaza los entry points de uv init', () => {
+    const text = '[project]\nname = "x"\n\n[project.scripts]\nx = "x:main"\n\n[build-system]\n'
+    assert.equal(
+      setProjectScripts(text, { 'x-cli': 'x.cli:app' }),
+      '[project]\nname = "x"\n\n[project.scripts]\nx-cli = "x.cli:app"\n\n[build-system]\n',
+    )
+    assert.equal(setProjectScripts(text, {}), '[project]\nname = "x"\n\n[build-system]\n')
+
+    const inline = '[project]\nname = "x"\ndescription = """\n[project.scripts]\n"""\nscripts = { x = "x:main" }\n'
+    assert.deepEqual(parse(setProjectScripts(inline, { 'x-cli': 'x.cli:app' })).project, {
+      name: 'x',
+      description: '[project.scripts]\n',
+      scripts: { 'x-cli': 'x.cli:app' },
+    })
+  })
+})
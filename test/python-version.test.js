@@ -0,0 +1,25 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { UsageError } from '../src/errors.js'
+import { pythonContext, SUPPORTED_PYTHON_VERSIONS, validatePythonVersion } from '../src/python-version.js'
+
+describe('python-version', () => {
+  it('acepta versiones soportadas con o sin parche', () => {
+    assert.equal(validatePythonVersion('3.12'), '3.12')
+    assert.equal(validatePythonVersion('3.13.1'), '3.13.1')
+  })
+
+  it('rechaza versiones mal formadas o no soportadas', () => {
+    assert.throws(() => validatePythonVersion('3'), UsageError)
+    assert.throws(() => validatePythonVersion('3.9'), /soportadas: 3\.10/)
+  })
+
+  it('deriva todas las variables de los templates de una sola versión', () => {
+    assert.deepEqual(pythonContext('3.12.4'), {
+      python_version: '3.12',
+      python_target: 'py312',
+      python_versions: SUPPORTED_PYTHON_VERSIONS.slice(SUPPORTED_PYTHON_VERSIONS.indexOf('3.12')),
+    })
+    assert.equal(pythonContext('3.9').python_versions[0], '3.9')
+  })
+})
@@ -0,0 +1,61 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { UsageError } from '../src/errors.js'
+import { createReporter } from '../src/reporter.js'
+
+function memoryStream() {
+  return {
+    output: '',
+    write(chunk) {
+      this.output += chunk
+    },
+  }
+}
+
+describe('reporter', () => {
+  it('ndjson escribe un evento por línea con la duración y el comando de cada paso', () => {
+    const stream = memoryStream()
+    const reporter = createReporter('ndjson', { stream })
+    reporter.start('init', 'Creando estructura del proyecto...', { command: ['uv', 'init'], cwd: '/tmp' })
+    reporter.info('detalle')
+    reporter.succeed('Estructura del proyecto creada')
+    reporter.finish({ status: 'success', exitCode: 0 })
+
+    const events = stream.output
+      .trimEnd()
+      .split('\n')
+      .map(line => JSON.parse(line))
+    assert.deepEqual(
+      events.map(event => [event.event, event.step]),
+      [
+        ['started', 'init'],
+        ['info', 'init'],
+        ['succeeded', 'init'],
+        ['result', undefined],
+      ],
+    )
+    assert.deepEqual(events[2].command, ['uv', 'init'])
+    assert.equal(typeof events[2].durationMs, 'number')
+    assert.equal(events[3].status, 'success')
+  })
+
+  it('json escribe un único objeto con el resultado y los eventos al terminar', () => {
+    const stream = memoryStream()
+    const reporter = createReporter('json', { stream })
+    reporter.start('sync', 'Sincronizando...')
+    reporter.fail('Error')
+    assert.equal(stream.output, '')
+    reporter.finish({ status: 'failed', exitCode: 1 })
+
+    const result = JSON.parse(stream.output)
+    assert.equal(result.exitCode, 1)
+    assert.deepEqual(
+      result.events.map(event => event.event),
+      ['started', 'failed'],
+    )
+  })
+
+  it('rechaza formatos desconocidos', () => {
+    assert.throws(() => createReporter('xml'), UsageError)
+  })
+})
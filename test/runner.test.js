@@ -0,0 +1,155 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { CommandError } from '../src/errors.js'
+import { setLanguage } from '../src/i18n.js'
+import {
+  COMMAND_LOG_NAME,
+  commandPolicy,
+  COMMAND_POLICIES,
+  createCommandRunner,
+  createRecordingRunner,
+  platformCommand,
+  runCommand,
+  saveCommandLog,
+} from '../src/runner.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-runner-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+// Ejecuta un script de Node como comando externo
+function node(script) {
+  return [process.execPath, ['-e', script]]
+}
+
+describe('runner', () => {
+  setLanguage('es')
+
+  it('elige la política por el ejecutable y el subcomando', () => {
+    assert.equal(commandPolicy('/usr/local/bin/uv', ['sync', '--frozen']), COMMAND_POLICIES['uv sync'])
+    assert.equal(commandPolicy('uv.exe', ['add', 'httpx']), COMMAND_POLICIES['uv add'])
+    assert.equal(commandPolicy('git', ['config', 'user.name']), COMMAND_POLICIES.git)
+    assert.equal(commandPolicy('tar', ['-xf', 'uv.tar.gz']), COMMAND_POLICIES.default)
+    assert.equal(COMMAND_POLICIES['uv run'].retries, 0)
+  })
+
+  it('devuelve la salida estándar y lanza un CommandError con el final de la salida de error', () => {
+    assert.equal(runCommand(...node('process.stdout.write("hola")')), 'hola')
+
+    const lines = Array.from({ length: 30 }, (_, index) => `línea ${index + 1}`).join('\\n')
+    assert.throws(
+      () => runCommand(...node(`console.error("${lines}"); process.exit(3)`)),
+      error => {
+        assert.ok(error instanceof CommandError)
+        assert.equal(error.status, 3)
+        assert.equal(error.exitCode, 1)
+        assert.match(error.message, /terminó con código 3:\nlínea 11\n/)
+        assert.doesNotMatch(error.message, /línea 10\n/)
+        assert.match(error.stderr, /^línea 1\n/)
+        return true
+      },
+    )
+  })
+
+  it('corta los comandos que superan su tiempo máximo sin reintentarlos', () => {
+    const attempts = []
+    assert.throws(
+      () =>
+        runCommand(...node('setTimeout(() => {}, 10000)'), {
+          timeout: 200,
+          retries: 2,
+          onAttempt: entry => attempts.push(entry),
+        }),
+      error => error.timedOut && /no terminó en 0.2 s/.test(error.message),
+    )
+    assert.equal(attempts.length, 1)
+  })
+
+  it('reintenta los errores de red y no los demás', () => {
+    const waits = []
+    const retries = []
+    const counter = path.join(workDir, 'attempts')
+    fs.writeFileSync(counter, '')
+    const flaky = `const fs = require("fs"); fs.appendFileSync(${JSON.stringify(counter)}, "x");
+      if (fs.readFileSync(${JSON.stringify(counter)}, "utf8").length < 3) { console.error("error: Connection reset by peer"); process.exit(2) }
+      process.stdout.write("ok")`
+    const output = runCommand(...node(flaky), {
+      retries: 2,
+      wait: ms => waits.push(ms),
+      onRetry: retry => retries.push(retry.attempt),
+    })
+    assert.equal(output, 'ok')
+    assert.deepEqual(waits, [2000, 5000])
+    assert.deepEqual(retries, [1, 2])
+
+    fs.writeFileSync(counter, '')
+    assert.throws(
+      () => runCommand(...node(flaky), { retries: 1, wait: () => {} }),
+      error => /\(tras 2 intentos\):\nerror: Connection reset by peer$/.test(error.message),
+    )
+
+    let calls = 0
+    assert.throws(() =>
+      runCommand(...node('console.error("error: No solution found"); process.exit(1)'), {
+        retries: 2,
+        onAttempt: () => calls++,
+      }),
+    )
+    assert.equal(calls, 1)
+
+    // Con --offline no se reintenta nada: un paquete que no está en la caché no aparece al repetir el comando
+    calls = 0
+    assert.throws(() =>
+      runCommand(...node('console.error("error: Network access is disabled"); process.exit(2)'), {
+        retries: 2,
+        onAttempt: () => calls++,
+      }),
+    )
+    fs.writeFileSync(counter, '')
+    const [file, args] = node(flaky)
+    assert.throws(() => runCommand(file, [...args, '--offline'], { retries: 2, onAttempt: () => calls++ }))
+    assert.equal(calls, 2)
+  })
+
+  it('ejecuta npm a través de npm.cmd y la shell en Windows', () => {
+    assert.deepEqual(platformCommand('npm', ['pack', 'x@1.0.0'], 'linux'), {
+      file: 'npm',
+      args: ['pack', 'x@1.0.0'],
+      shell: false,
+    })
+    assert.deepEqual(platformCommand('npm', ['pack', 'x@^1.0', '--pack-destination', 'C:\\Temp dir'], 'win32'), {
+      file: 'npm.cmd',
+      args: ['pack', '"x@^1.0"', '--pack-destination', '"C:\\Temp dir"'],
+      shell: true,
+    })
+    assert.equal(platformCommand('uv', ['sync'], 'win32').shell, false)
+  })
+
+  it('informa de los ejecutables que no existen', () => {
+    assert.throws(
+      () => runCommand(path.join(workDir, 'no-existe'), []),
+      error => error instanceof CommandError && /No se encontró el ejecutable/.test(error.message),
+    )
+  })
+
+  it('guarda los comandos ejecutados en el registro del proyecto', () => {
+    const runner = createCommandRunner()
+    runner(...node('console.log("salida"); console.error("aviso")'), { cwd: workDir })
+    assert.equal(saveCommandLog(runner, workDir), path.join(workDir, COMMAND_LOG_NAME))
+    assert.equal(runner.log.length, 0)
+    assert.equal(saveCommandLog(runner, workDir), null)
+
+    const log = fs.readFileSync(path.join(workDir, COMMAND_LOG_NAME), 'utf8')
+    assert.match(log, /\] \$ node -e /)
+    assert.match(log, /exit 0 \(\d+ ms\)\n--- stdout\nsalida\n--- stderr\naviso\n/)
+  })
+
+  it('el ejecutor de grabación registra los comandos sin ejecutarlos', () => {
+    const runner = createRecordingRunner()
+    assert.equal(runner('uv', ['sync'], { cwd: workDir }), '')
+    assert.deepEqual(runner.calls, [{ command: ['uv', 'sync'], cwd: workDir }])
+    assert.equal(saveCommandLog(runner, workDir), null)
+  })
+})
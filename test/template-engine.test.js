@@ -0,0 +1,49 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { TemplateError } from '../src/errors.js'
+import { evaluateCondition, renderTemplate } from '../src/template-engine.js'
+
+describe('template-engine', () => {
+  it('sustituye variables, propiedades y filtros', () => {
+    const context = { name: 'my-app', deps: ['httpx', 'pydantic'], project: { version: '1.0' } }
+    assert.equal(
+      renderTemplate(
+        '{{ name | pascal }} {{ name | snake | upper }} {{ project.version }} {{ deps | join(" + ") }}',
+        context,
+      ),
+      'MyApp MY_APP 1.0 httpx + pydantic',
+    )
+    assert.equal(renderTemplate('{{ deps | length }} {{ deps | json }}', context), '2 ["httpx","pydantic"]')
+    assert.equal(renderTemplate('{{ author | default("anónimo") }}', { author: null }), 'anónimo')
+  })
+
+  it('evalúa condiciones con elif, else, in, not, and y or', () => {
+    const source = '{% if "x" in deps and not flag %}a{% elif flag or n > 1 %}b{% else %}c{% endif %}'
+    assert.equal(renderTemplate(source, { deps: ['x'], flag: false, n: 0 }), 'a')
+    assert.equal(renderTemplate(source, { deps: [], flag: false, n: 2 }), 'b')
+    assert.equal(renderTemplate(source, { deps: [], flag: false, n: 0 }), 'c')
+    assert.equal(evaluateCondition("archetype != 'cli'", { archetype: 'app' }), true)
+  })
+
+  it('recorre listas con loop y usa el else de las listas vacías', () => {
+    const source =
+      '{% for dep in deps %}{{ loop.index }}:{{ dep }}{% if not loop.last %}, {% endif %}{% else %}-{% endfor %}'
+    assert.equal(renderTemplate(source, { deps: ['a', 'b'] }), '1:a, 2:b')
+    assert.equal(renderTemplate(source, { deps: [] }), '-')
+  })
+
+  it('deja el texto raw sin procesar, elimina los comentarios y acepta los marcadores antiguos', () => {
+    assert.equal(
+      renderTemplate('{% raw %}{{ literal }}{% endraw %}{# nota #} __PROJECT_NAME__', { project_name: 'demo' }),
+      '{{ literal }} demo',
+    )
+  })
+
+  it('falla con el template y la línea si una variable no está definida', () => {
+    assert.throws(
+      () => renderTemplate('línea 1\n{{ nope }}', {}, { name: 'README.md.template' }),
+      error => error instanceof TemplateError && error.template === 'README.md.template' && error.line === 2,
+    )
+    assert.throws(() => renderTemplate('{% if nope %}x{% endif %}', {}), TemplateError)
+  })
+})
@@ -0,0 +1,54 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { BUILTIN_LAYER, resolveTemplatePack, TemplateStore } from '../src/templates.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-test-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+function writeFile(file, content) {
+  const filePath = path.join(workDir, file)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, content)
+  return filePath
+}
+
+describe('templates', () => {
+  it('lee los templates incluidos e indica su capa', () => {
+    const { content, layer } = new TemplateStore().readTemplate('pyproject.extra.toml')
+    assert.equal(layer, BUILTIN_LAYER)
+    assert.match(content, /\[tool\.ruff\]/)
+    assert.throws(() => new TemplateStore().readTemplate('no-existe.template'), /no-existe\.template/)
+  })
+
+  it('da prioridad al pack, en su traducción antes que sin traducir, y usa los incluidos para el resto', () => {
+    writeFile('pack/package.json', JSON.stringify({ name: 'mi-pack', 'create-python-modern': { templates: 'tpl' } }))
+    writeFile('pack/tpl/README.md.template', '# {{ project_name }} (pack)\n')
+    writeFile('pack/tpl/locales/en/README.md.template', '# {{ project_name }} (pack, en)\n')
+    const pack = resolveTemplatePack(path.join(workDir, 'pack'))
+    assert.deepEqual(pack, { name: 'mi-pack', dir: path.join(workDir, 'pack', 'tpl') })
+
+    assert.match(new TemplateStore([pack], { lang: 'es' }).readTemplate('README.md.template').content, /\(pack\)/)
+    const store = new TemplateStore([pack], { lang: 'en' })
+    assert.match(store.readTemplate('README.md.template').content, /\(pack, en\)/)
+    assert.equal(store.readTemplate('pyproject.extra.toml').layer, BUILTIN_LAYER)
+    assert.deepEqual(store.customOrigins(), [{ file: 'README.md.template', layer: 'mi-pack' }])
+  })
+
+  it('copyTemplate renderiza el contenido y la ruta de destino', () => {
+    writeFile('copy-pack/src/module.py.template', '"""{{ project_name | pascal }}."""\n')
+    const store = new TemplateStore([{ name: 'copy-pack', dir: path.join(workDir, 'copy-pack') }], { builtin: false })
+    const layer = store.copyTemplate(
+      'src/module.py.template',
+      path.join(workDir, 'out/src/{{ module_name }}/module.py'),
+      {
+        project_name: 'demo-app',
+        module_name: 'demo_app',
+      },
+    )
+    assert.equal(layer, 'copy-pack')
+    assert.equal(fs.readFileSync(path.join(workDir, 'out/src/demo_app/module.py'), 'utf8'), '"""DemoApp."""\n')
+  })
+})
@@ -0,0 +1,165 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as path from 'path'
+import { describe, it } from 'node:test'
+import { fileURLToPath } from 'url'
+import { fromTagged, toTagged } from '../scripts/toml-test.js'
+import { TomlError } from '../src/errors.js'
+import { findTomlProblems } from '../src/pyproject.js'
+import { parse, stringify, TomlDateTime } from '../src/toml.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const FIXTURES = path.join(__dirname, 'fixtures/toml')
+
+// Además de los fixtures propios se pueden pasar los de toml-test (https://github.com/toml-lang/toml-test):
+//   TOML_TEST_DIR=/ruta/a/toml-test/tests npm test
+// Si existe el listado files-toml-1.0.0 solo se usan los casos de TOML 1.0
+const TOML_TEST_DIR = process.env.TOML_TEST_DIR
+
+function listFiles(dir, prefix = '') {
+  const files = []
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name
+    if (entry.isDirectory()) files.push(...listFiles(dir, relPath))
+    else files.push(relPath)
+  }
+  return files
+}
+
+function listCases(dir, kind) {
+  const listPath = path.join(dir, 'files-toml-1.0.0')
+  const files = fs.existsSync(listPath)
+    ? fs
+        .readFileSync(listPath, 'utf8')
+        .split('\n')
+        .filter(file => file.startsWith(`${kind}/`))
+    : listFiles(dir, kind)
+  return files.filter(file => file.endsWith('.toml')).sort()
+}
+
+// toml-test compara floats por valor y fechas sin distinguir "T"/" " ni mayúsculas
+function normalize(tagged) {
+  if (Array.isArray(tagged)) return tagged.map(normalize)
+  if (typeof tagged.type === 'string' && typeof tagged.value === 'string') {
+    if (tagged.type === 'float') {
+      const value = tagged.value.replace(/^([+-])?nan$/, 'nan').replace(/^\+?inf$/, 'inf')
+      return { type: 'float', value: /n/.test(value) ? value : String(Number(value)) }
+    }
+    if (/date|time/.test(tagged.type)) return { type: tagged.type, value: tagged.value.toUpperCase().replace(' ', 'T') }
+    return tagged
+  }
+  const table = {}
+  for (const [key, item] of Object.entries(tagged)) {
+    Object.defineProperty(table, key, { value: normalize(item), enumerable: true })
+  }
+  return table
+}
+
+function runSuite(dir) {
+  for (const file of listCases(dir, 'valid')) {
+    it(`acepta ${file}`, () => {
+      const expected = normalize(JSON.parse(fs.readFileSync(path.join(dir, file.replace(/\.toml$/, '.json')), 'utf8')))
+      const value = parse(fs.readFileSync(path.join(dir, file)), { bigint: true })
+      assert.deepEqual(normalize(toTagged(value)), expected)
+      // El serializador tiene que producir un documento equivalente
+      const encoded = stringify(fromTagged(expected), { bigint: true })
+      assert.deepEqual(normalize(toTagged(parse(encoded, { bigint: true }))), expected, encoded)
+    })
+  }
+  for (const file of listCases(dir, 'invalid')) {
+    it(`rechaza ${file}`, () => {
+      assert.throws(() => parse(fs.readFileSync(path.join(dir, file))), TomlError)
+    })
+  }
+}
+
+describe('toml: fixtures', () => runSuite(FIXTURES))
+
+if (TOML_TEST_DIR) {
+  describe(`toml: toml-test (${TOML_TEST_DIR})`, () => runSuite(TOML_TEST_DIR))
+}
+
+describe('toml: parse', () => {
+  it('devuelve enteros como number y como BigInt si no caben con precisión', () => {
+    assert.deepEqual(parse('a = 42\nb = 9007199254740993'), { a: 42, b: 9007199254740993n })
+    assert.deepEqual(parse('a = 42', { bigint: true }), { a: 42n })
+  })
+
+  it('conserva el tipo de las fechas', () => {
+    const { a, b } = parse('a = 1979-05-27\nb = 07:32:00')
+    assert.ok(a instanceof TomlDateTime)
+    assert.equal(a.kind, 'date-local')
+    assert.equal(String(a), '1979-05-27')
+    assert.equal(b.kind, 'time-local')
+  })
+
+  it('indica línea, columna y archivo en los errores', () => {
+    assert.throws(
+      () => parse('[project]\nname = "a"\nname = "b"\n', { file: 'pyproject.toml' }),
+      error =>
+        error instanceof TomlError &&
+        error.line === 3 &&
+        error.column === 1 &&
+        /pyproject\.toml:3:1/.test(error.message),
+    )
+  })
+
+  it('no deja modificar las tablas inline al parsear', () => {
+    assert.throws(() => parse('a = { b = 1 }\na.c = 2'), TomlError)
+    assert.throws(() => parse('a = [{ b = 1 }]\n[a.c]'), TomlError)
+  })
+})
+
+describe('toml: stringify', () => {
+  it('reproduce un pyproject.toml sin cambios', () => {
+    const text = fs.readFileSync(path.join(FIXTURES, 'valid/pyproject.toml'), 'utf8')
+    const value = parse(text)
+    assert.deepEqual(parse(stringify(value)), value)
+    assert.equal(stringify(parse(stringify(value))), stringify(value))
+  })
+
+  it('escribe arrays de tablas, claves con comillas y strings con escapes', () => {
+    const text = stringify({
+      tool: { mypy: { overrides: [{ module: 'tests.*', strict: false }, { module: ['yaml'] }] } },
+      'quoted key': 'line\n"quote"\t\u0001',
+    })
+    assert.equal(
+      text,
+      [
+        '"quoted key" = "line\\n\\"quote\\"\\t\\u0001"',
+        '',
+        '[[tool.mypy.overrides]]',
+        'module = "tests.*"',
+        'strict = false',
+        '',
+        '[[tool.mypy.overrides]]',
+        'module = ["yaml"]',
+        '',
+      ].join('\n'),
+    )
+  })
+
+  it('distingue enteros de floats', () => {
+    assert.equal(stringify({ a: 1, b: 1.5, c: 2n }), 'a = 1\nb = 1.5\nc = 2\n')
+    assert.equal(stringify({ a: 1n, b: 1 }, { bigint: true }), 'a = 1\nb = 1.0\n')
+    assert.equal(stringify({ a: NaN, b: -Infinity }), 'a = nan\nb = -inf\n')
+  })
+
+  it('omite null y undefined y rechaza valores que TOML no puede representar', () => {
+    assert.equal(stringify({ a: null, b: undefined, c: 1 }), 'c = 1\n')
+    assert.throws(() => stringify({ a: () => 1 }), TypeError)
+    assert.throws(() => stringify({ a: 2n ** 64n }), RangeError)
+  })
+})
+
+describe('pyproject: findTomlProblems', () => {
+  it('no encuentra problemas en un documento válido', () => {
+    assert.deepEqual(findTomlProblems('[tool.ruff]\nline-length = 120\n'), [])
+  })
+
+  it('informa de la posición del primer error', () => {
+    const [problem] = findTomlProblems('[tool.ruff]\nline-length = 120\n\n[tool.ruff]\n')
+    assert.equal(problem.line, 4)
+    assert.match(problem.message, /\[tool\.ruff\]/)
+  })
+})
@@ -0,0 +1,94 @@
+import assert from 'assert/strict'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { TemplateStore } from '../src/templates.js'
+import { applyUpgrade, planUpgrade } from '../src/upgrade.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-upgrade-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+function writeFiles(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+  }
+}
+
+// Pack de templates con `files` y un manifiesto con todas las entradas marcadas con "upgrade"
+function templatePack(name, files) {
+  const dir = path.join(workDir, name)
+  const manifest = {
+    files: [
+      { source: 'config.yaml.template', destination: 'config.yaml', upgrade: true },
+      { source: 'new.txt.template', destination: 'new.txt', upgrade: true },
+      { source: 'gone.txt.template', destination: 'gone.txt', upgrade: true },
+      { source: 'pyproject.extra.toml', destination: 'pyproject.toml', strategy: 'merge', upgrade: true },
+    ],
+  }
+  writeFiles(dir, { 'manifest.json': JSON.stringify(manifest), ...files })
+  return new TemplateStore([{ name, dir }], { builtin: false })
+}
+
+describe('upgrade', () => {
+  const base = templatePack('base', {
+    'config.yaml.template': 'name: {{ project_name }}\nhooks:\n  - ruff\n',
+    'gone.txt.template': 'gone\n',
+    'pyproject.extra.toml': '[tool.ruff]\nline-length = 88\n',
+  })
+  const current = templatePack('current', {
+    'config.yaml.template': 'name: {{ project_name }}\nhooks:\n  - ruff\n  - mypy\n',
+    'new.txt.template': 'nuevo en {{ project_name }}\n',
+    'gone.txt.template': 'gone\n',
+    'pyproject.extra.toml': '[tool.ruff]\nline-length = 100\n',
+  })
+  const context = { project_name: 'demo' }
+
+  it('planUpgrade fusiona los cambios del template con los del proyecto', () => {
+    const dir = path.join(workDir, 'project')
+    writeFiles(dir, {
+      'config.yaml': '# propio\nname: demo\nhooks:\n  - ruff\n',
+      'pyproject.toml': '[project]\nname = "demo"\n\n[tool.ruff]\nline-length = 88\n',
+    })
+    const plans = Object.fromEntries(planUpgrade(current, base, dir, context).map(plan => [plan.destination, plan]))
+
+    assert.equal(plans['config.yaml'].status, 'updated')
+    assert.equal(plans['config.yaml'].text, '# propio\nname: demo\nhooks:\n  - ruff\n  - mypy\n')
+    assert.match(plans['config.yaml'].diff, /^--- a\/config\.yaml\n\+\+\+ b\/config\.yaml\n[^]*\n\+ {2}- mypy\n/)
+    assert.equal(plans['new.txt'].status, 'created')
+    assert.equal(plans['new.txt'].text, 'nuevo en demo\n')
+    assert.equal(plans['gone.txt'].status, 'removed')
+    // Con "merge" la base y la nueva versión son el fragmento, y el proyecto es el pyproject.toml completo
+    assert.equal(plans['pyproject.toml'].status, 'updated')
+    assert.equal(plans['pyproject.toml'].text, '[project]\nname = "demo"\n\n[tool.ruff]\nline-length = 100\n')
+
+    assert.deepEqual(applyUpgrade(Object.values(plans), dir).sort(), ['config.yaml', 'new.txt', 'pyproject.toml'])
+    assert.ok(!fs.existsSync(path.join(dir, 'gone.txt')))
+    assert.deepEqual(
+      planUpgrade(current, base, dir, context).map(plan => plan.status),
+      ['unchanged', 'unchanged', 'removed', 'unchanged'],
+    )
+  })
+
+  it('planUpgrade no toca los archivos con conflictos', () => {
+    const dir = path.join(workDir, 'conflict')
+    writeFiles(dir, {
+      'config.yaml': 'name: demo\nhooks:\n  - black\n',
+      'pyproject.toml': '[tool.ruff]\nline-length = 120\n',
+      'gone.txt': 'gone\n',
+    })
+    const plans = planUpgrade(current, base, dir, context)
+    const config = plans.find(plan => plan.destination === 'config.yaml')
+    assert.equal(config.status, 'conflict')
+    assert.deepEqual(config.conflicts, [
+      { line: 3, base: ['  - ruff'], ours: ['  - black'], theirs: ['  - ruff', '  - mypy'] },
+    ])
+    assert.match(config.text, /<<<<<<< actual\n {2}- black\n=======\n {2}- ruff\n {2}- mypy\n>>>>>>> template\n/)
+    assert.equal(plans.find(plan => plan.destination === 'pyproject.toml').status, 'conflict')
+    assert.equal(plans.find(plan => plan.destination === 'gone.txt').status, 'unchanged')
+
+    assert.deepEqual(applyUpgrade(plans, dir), ['new.txt'])
+    assert.equal(fs.readFileSync(path.join(dir, 'config.yaml'), 'utf8'), 'name: demo\nhooks:\n  - black\n')
+  })
+})
@@ -0,0 +1,77 @@
+import assert from 'assert/strict'
+import { execFileSync } from 'child_process'
+import { createHash } from 'crypto'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { after, describe, it } from 'node:test'
+import { UsageError } from '../src/errors.js'
+import { createRecordingRunner } from '../src/runner.js'
+import { findUv, installUv, listUvArtifacts, readUvRelease, uvArtifact } from '../src/uv.js'
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'create-python-modern-test-'))
+after(() => fs.rmSync(workDir, { recursive: true, force: true }))
+
+// Archivo con la misma estructura que los de la release de uv, con un "uv" que solo responde a --version
+function fakeArchive() {
+  const source = path.join(workDir, 'archive')
+  fs.mkdirSync(path.join(source, 'uv-x86_64-unknown-linux-gnu'), { recursive: true })
+  fs.writeFileSync(path.join(source, 'uv-x86_64-unknown-linux-gnu', 'uv'), '#!/bin/sh\necho "uv 0.0.0"\n', {
+    mode: 0o755,
+  })
+  const archive = path.join(workDir, 'uv.tar.gz')
+  execFileSync('tar', ['-czf', archive, '-C', source, '.'])
+  return fs.readFileSync(archive)
+}
+
+describe('uv', { skip: process.platform === 'win32' }, () => {
+  const content = fakeArchive()
+  const sha256 = createHash('sha256').update(content).digest('hex')
+
+  it('instala el binario descargado si su sha256 coincide', async () => {
+    const installDir = path.join(workDir, 'ok')
+    const { bin, url } = await installUv({ version: '0.9.0', sha256, installDir, fetchArtifact: async () => content })
+    assert.equal(bin, path.join(installDir, 'uv'))
+    assert.equal(url, `https://github.com/astral-sh/uv/releases/download/0.9.0/${uvArtifact()}`)
+    assert.equal(findUv({ uvPath: bin, env: {} }), bin)
+  })
+
+  it('no instala nada si el sha256 no coincide', async () => {
+    const installDir = path.join(workDir, 'mismatch')
+    await assert.rejects(
+      installUv({ version: '0.9.0', sha256: '0'.repeat(64), installDir, fetchArtifact: async () => content }),
+      /no coincide/,
+    )
+    assert.equal(fs.existsSync(installDir), false)
+  })
+
+  it('exige un sha256 conocido para versiones no fijadas', async () => {
+    await assert.rejects(installUv({ version: '0.0.1', fetchArtifact: async () => content }), UsageError)
+  })
+
+  it('tiene el sha256 de todos los binarios de la versión fijada', () => {
+    const { version, checksums } = readUvRelease()
+    for (const artifact of listUvArtifacts()) {
+      assert.match(
+        checksums[artifact] || '',
+        /^[0-9a-f]{64}$/,
+        `Falta el sha256 de ${artifact}: ejecuta node scripts/update-uv-release.js ${version}`,
+      )
+    }
+  })
+
+  it('busca uv con el ejecutor indicado', () => {
+    const runner = createRecordingRunner()
+    assert.equal(findUv({ env: {}, installDir: path.join(workDir, 'none'), runner }), 'uv')
+    assert.deepEqual(runner.calls, [{ command: ['uv', '--version'], cwd: undefined }])
+
+    const failing = () => {
+      throw new Error('no es uv')
+    }
+    assert.equal(findUv({ env: {}, installDir: path.join(workDir, 'none'), runner: failing }), null)
+  })
+
+  it('rechaza un UV_BIN que no existe', () => {
+    assert.throws(() => findUv({ env: { UV_BIN: path.join(workDir, 'missing/uv') } }), /UV_BIN/)
+  })
+})
@@ -0,0 +1,52 @@
+import assert from 'assert/strict'
+import { describe, it } from 'node:test'
+import { formatVerifyTable, isCI, planVerify, runVerify } from '../src/verify.js'
+
+describe('verify', () => {
+  it('solo ejecuta las comprobaciones cuya herramienta está en el grupo dev', () => {
+    const gates = planVerify(['ruff>=0.5.0', 'pytest>=7.0.0', 'pytest-cov>=4.0.0'], ['--offline'])
+    assert.deepEqual(
+      gates.map(gate => [gate.id, gate.available]),
+      [
+        ['ruff', true],
+        ['format', true],
+        ['mypy', false],
+        ['bandit', false],
+        ['pytest', true],
+      ],
+    )
+    assert.deepEqual(gates[0].command, ['uv', 'run', '--offline', 'ruff', 'check', '.'])
+  })
+
+  it('ejecuta todas las comprobaciones aunque alguna falle y guarda el final de su salida', () => {
+    const gates = planVerify(['ruff', 'mypy'])
+    const run = command => {
+      if (command.includes('mypy')) {
+        throw Object.assign(new Error('exit 1'), { stdout: 'src/demo/main.py:1: error: Missing return\n', stderr: '' })
+      }
+    }
+    const results = runVerify(gates, { run })
+    assert.deepEqual(
+      results.map(result => [result.id, result.status]),
+      [
+        ['ruff', 'passed'],
+        ['format', 'passed'],
+        ['mypy', 'failed'],
+        ['bandit', 'skipped'],
+        ['pytest', 'skipped'],
+      ],
+    )
+    assert.equal(results[2].output, 'src/demo/main.py:1: error: Missing return')
+
+    const labels = { passed: 'ok', failed: 'falla', skipped: 'omitido' }
+    const table = formatVerifyTable(results, labels)
+    assert.match(table[2], /^mypy src\/\s+falla\s+\d+\.\ds$/)
+    assert.equal(table[0].indexOf('ok'), table[2].indexOf('falla'))
+  })
+
+  it('se activa en CI salvo que la variable lo desactive', () => {
+    assert.equal(isCI({ CI: 'true' }), true)
+    assert.equal(isCI({ CI: 'false' }), false)
+    assert.equal(isCI({}), false)
+  })
+})